@@ -32,12 +32,27 @@
       name: document.getElementById('problem-name').value,
       difficulty: document.getElementById('problem-difficulty').value,
       language: document.getElementById('problem-language').value,
+      timeLimit: Number(document.getElementById('problem-time-limit').value),
+      memoryLimit: Number(document.getElementById('problem-memory-limit').value),
       tags: document.getElementById('problem-tags').value.split(',').map(tag => tag.trim()).filter(tag => tag),
       description: document.getElementById('problem-description').value,
       sampleInput: document.getElementById('sample-input').value,
-      sampleOutput: document.getElementById('sample-output').value
+      sampleOutput: document.getElementById('sample-output').value,
+      checker: readCheckerForm(),
+      mode: document.getElementById('problem-mode').value
     };
 
+    if (formData.mode === 'function') {
+      formData.signature = readSignatureForm();
+    }
+
+    if (formData.mode === 'interactive') {
+      formData.interactor = {
+        program: document.getElementById('interactor-program').value.trim(),
+        queryLimit: document.getElementById('interactor-query-limit').value
+      };
+    }
+
     try {
       const response = await fetch('/api/problems', {
         method: 'POST',
@@ -46,7 +61,8 @@
       });
 
       if (response.ok) {
-        showAlert('Problem created successfully!', 'success');
+        const result = await response.json();
+        showAlert(`Problem created with id ${result.problemId}`, 'success');
         problemForm.reset();
         loadProblems();
       } else {
@@ -58,6 +74,43 @@
     }
   });
 
+  const problemMode = document.getElementById('problem-mode');
+  problemMode.addEventListener('change', () => {
+    document.getElementById('function-signature').classList.toggle('hidden', problemMode.value !== 'function');
+    document.getElementById('interactor-settings').classList.toggle('hidden', problemMode.value !== 'interactive');
+  });
+
+  // "nums: int[], target: int" becomes [{ name: 'nums', type: 'int[]' }, ...]
+  function readSignatureForm() {
+    const params = document.getElementById('function-params').value
+      .split(',')
+      .map(param => param.trim())
+      .filter(param => param)
+      .map(param => {
+        const [name, type] = param.split(':').map(part => part.trim());
+        return { name, type };
+      });
+
+    return {
+      name: document.getElementById('function-name').value.trim(),
+      params,
+      returnType: document.getElementById('function-return').value.trim()
+    };
+  }
+
+  function readCheckerForm() {
+    const type = document.getElementById('problem-checker').value;
+    const option = document.getElementById('problem-checker-option').value.trim();
+
+    if (type === 'float' && option) {
+      return { type, absoluteError: Number(option), relativeError: Number(option) };
+    }
+    if (type === 'custom') {
+      return { type, program: option };
+    }
+    return { type };
+  }
+
   // Algorithm search functionality
   const algorithmSearch = document.getElementById('algorithm-search');
   const algorithmCategory = document.getElementById('algorithm-category');
@@ -69,6 +122,7 @@
 
   // Load initial data
   loadTabData('problems');
+  loadLanguages();
 
   // Functions
   function loadTabData(tabName) {
@@ -91,15 +145,39 @@
     }
   }
 
+  // Fills the language pickers, marking languages whose toolchain is missing
+  async function loadLanguages() {
+    try {
+      const response = await fetch('/api/languages');
+      const { languages } = await response.json();
+
+      ['problem-language', 'test-language'].forEach(id => {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        select.innerHTML = languages.map(language => `
+          <option value="${language.id}" ${language.id === selected ? 'selected' : ''} ${language.available ? '' : 'disabled'}
+            title="${escapeHtml(language.version || 'Not installed')}">
+            ${escapeHtml(language.name)}${language.available ? '' : ' (not installed)'}
+          </option>
+        `).join('');
+      });
+    } catch (err) {
+      console.error('Error loading languages:', err);
+    }
+  }
+
   async function loadProblems() {
     try {
-      const response = await fetch('/api/problems');
+      const showArchived = document.getElementById('show-archived').checked;
+      const response = await fetch(`/api/problems?archived=${showArchived}`);
       const data = await response.json();
       
       const problemsList = document.getElementById('problems-list');
       
       if (data.problems.length === 0) {
-        problemsList.innerHTML = '<div class="alert alert-info">No problems created yet. Create your first problem above!</div>';
+        problemsList.innerHTML = showArchived
+          ? '<div class="alert alert-info">No archived problems.</div>'
+          : '<div class="alert alert-info">No problems created yet. Create your first problem above!</div>';
         return;
       }
 
@@ -109,6 +187,7 @@
           <div class="problem-meta">
             <span>Difficulty: ${problem.difficulty}</span>
             <span>Status: ${problem.status}</span>
+            ${problem.limits ? `<span>Limits: ${problem.limits.timeLimit} ms / ${problem.limits.memoryLimit} MB</span>` : ''}
             <span>Created: ${new Date(problem.createdAt).toLocaleDateString()}</span>
           </div>
           <div class="problem-tags">
@@ -117,6 +196,9 @@
           <div style="margin-top: 1rem;">
             <button class="btn btn-secondary" onclick="viewProblem('${problem.id}')">View</button>
             <button class="btn btn-success" onclick="markSolved('${problem.id}')">Mark Solved</button>
+            <button class="btn btn-secondary" onclick="renameProblem('${problem.id}')">Rename</button>
+            <a class="btn btn-secondary" href="/api/problems/${problem.id}/export">Export</a>
+            <button class="btn btn-secondary" onclick="archiveProblem('${problem.id}', ${!problem.archived})">${problem.archived ? 'Unarchive' : 'Archive'}</button>
             <button class="btn btn-danger" onclick="deleteProblem('${problem.id}')">Delete</button>
           </div>
         </div>
@@ -286,6 +368,21 @@
     }, 5000);
   }
 
+  function formatTime(ms) {
+    return `${Math.round(ms || 0)} ms`;
+  }
+
+  function formatMemory(kb) {
+    return `${((kb || 0) / 1024).toFixed(1)} MB`;
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
   function debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
@@ -316,11 +413,15 @@
         <div style="background: white; padding: 2rem; border-radius: 12px; max-width: 600px; max-height: 80vh; overflow-y: auto;">
           <h2>${problem.metadata.name}</h2>
           <p><strong>Difficulty:</strong> ${problem.metadata.difficulty}</p>
+          ${problem.metadata.limits ? `<p><strong>Limits:</strong> ${problem.metadata.limits.timeLimit} ms, ${problem.metadata.limits.memoryLimit} MB</p>` : ''}
           <p><strong>Description:</strong> ${problem.metadata.description}</p>
-          <p><strong>Sample Input:</strong></p>
-          <div class="code-block">${problem.metadata.sampleInput}</div>
-          <p><strong>Sample Output:</strong></p>
-          <div class="code-block">${problem.metadata.sampleOutput}</div>
+          <p><strong>Solutions:</strong> ${problem.solutions.map(solution => escapeHtml(solution.name)).join(', ') || 'none'}</p>
+          ${problem.testCases.filter(testCase => testCase.sample).map(testCase => `
+            <p><strong>${escapeHtml(testCase.label || 'Sample')} Input:</strong></p>
+            <div class="code-block"><pre>${escapeHtml(testCase.input)}</pre></div>
+            <p><strong>${escapeHtml(testCase.label || 'Sample')} Output:</strong></p>
+            <div class="code-block"><pre>${escapeHtml(testCase.expected)}</pre></div>
+          `).join('')}
           <button class="btn" onclick="this.closest('.modal').remove()">Close</button>
         </div>
       `;
@@ -352,11 +453,157 @@
   };
 
   window.deleteProblem = async function(problemId) {
-    if (!confirm('Are you sure you want to delete this problem?')) return;
+    if (!confirm('Move this problem to the trash?')) return;
     
     try {
-      // Note: You'd need to implement a DELETE endpoint for this
-      showAlert('Delete functionality not implemented yet', 'info');
+      const response = await fetch(`/api/problems/${problemId}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+        return;
+      }
+
+      showAlert('Problem moved to the trash', 'success');
+      loadProblems();
+    } catch (err) {
+      showAlert(`Error: ${err.message}`, 'error');
+    }
+  };
+
+  window.renameProblem = async function(problemId) {
+    const name = prompt('New problem name:');
+    if (!name || !name.trim()) return;
+
+    try {
+      const response = await fetch(`/api/problems/${problemId}/rename`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+        return;
+      }
+
+      showAlert(`Problem renamed to ${result.problem.id}`, 'success');
+      loadProblems();
+    } catch (err) {
+      showAlert(`Error: ${err.message}`, 'error');
+    }
+  };
+
+  window.archiveProblem = async function(problemId, archived) {
+    try {
+      const response = await fetch(`/api/problems/${problemId}/archived`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ archived })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+        return;
+      }
+
+      showAlert(archived ? 'Problem archived' : 'Problem unarchived', 'success');
+      loadProblems();
+    } catch (err) {
+      showAlert(`Error: ${err.message}`, 'error');
+    }
+  };
+
+  window.importPackage = async function() {
+    const file = document.getElementById('package-zip').files[0];
+    if (!file) {
+      showAlert('Choose a zip file first', 'error');
+      return;
+    }
+
+    // Judge packages start from the template of the language picked for new problems
+    const language = document.getElementById('problem-language').value;
+
+    try {
+      const response = await fetch(`/api/problems/import?language=${encodeURIComponent(language)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/zip' },
+        body: file
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+        return;
+      }
+
+      const warnings = result.warnings.length > 0 ? ` Note: ${result.warnings.join(' ')}` : '';
+      showAlert(`Imported ${result.problemId} with ${result.testCases} test cases.${warnings}`, result.warnings.length > 0 ? 'info' : 'success');
+      loadProblems();
+    } catch (err) {
+      showAlert(`Error importing package: ${err.message}`, 'error');
+    }
+  };
+
+  window.toggleArchived = function() {
+    loadProblems();
+  };
+
+  window.showTrash = async function() {
+    try {
+      const response = await fetch('/api/trash');
+      const data = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${data.error}`, 'error');
+        return;
+      }
+
+      openModal(`
+        <h2>Trash</h2>
+        ${data.problems.length === 0 ? '<div class="alert alert-info">The trash is empty.</div>' : ''}
+        ${data.problems.map(problem => `
+          <div class="problem-meta">
+            <span>${escapeHtml(problem.name)}</span>
+            <span>Deleted: ${new Date(problem.deletedAt).toLocaleString()}</span>
+            <button class="btn btn-secondary" onclick="restoreProblem('${problem.trashId}')">Restore</button>
+            <button class="btn btn-danger" onclick="purgeProblem('${problem.trashId}')">Delete forever</button>
+          </div>
+        `).join('')}
+        <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Close</button>
+      `);
+    } catch (err) {
+      showAlert(`Error loading trash: ${err.message}`, 'error');
+    }
+  };
+
+  window.restoreProblem = async function(trashId) {
+    try {
+      const response = await fetch(`/api/trash/${trashId}/restore`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+        return;
+      }
+
+      document.querySelector('.modal').remove();
+      showAlert(`Restored ${result.name}`, 'success');
+      loadProblems();
+    } catch (err) {
+      showAlert(`Error: ${err.message}`, 'error');
+    }
+  };
+
+  window.purgeProblem = async function(trashId) {
+    if (!confirm('Delete this problem permanently? This cannot be undone.')) return;
+
+    try {
+      const response = await fetch(`/api/trash/${trashId}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+        return;
+      }
+
+      document.querySelector('.modal').remove();
+      showTrash();
     } catch (err) {
       showAlert(`Error: ${err.message}`, 'error');
     }
@@ -399,6 +646,32 @@
     }
   };
 
+  // Test runs are queued as jobs. Live rows arrive over the socket; the job
+  // itself is polled, so a reload picks up where it left off.
+  const socket = io();
+  let currentRun = null;
+  const JOB_POLL_INTERVAL = 1000;
+  const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+  socket.on('test:start', (event) => {
+    if (!currentRun || event.jobId !== currentRun.id) return;
+    updateTestProgress(currentRun.finished, event.total, `Running ${event.testName} (${currentRun.finished}/${event.total} finished)`);
+  });
+
+  socket.on('test:finish', (event) => {
+    if (!currentRun || event.jobId !== currentRun.id) return;
+    currentRun.finished++;
+    updateTestProgress(currentRun.finished, event.total, `Finished ${currentRun.finished}/${event.total}`);
+
+    // Tests finish out of order when they run in parallel; keep rows in test order
+    const testResults = document.getElementById('test-results');
+    const row = document.createElement('div');
+    row.dataset.index = event.index;
+    row.innerHTML = renderTestCase(event.test);
+    const next = Array.from(testResults.children).find(child => Number(child.dataset.index) > event.index);
+    testResults.insertBefore(row, next || null);
+  });
+
   window.runTests = async function() {
     const problemId = document.getElementById('test-problem-id').value;
     const language = document.getElementById('test-language').value;
@@ -412,17 +685,96 @@
       const response = await fetch(`/api/problems/${problemId}/test`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ language })
+        body: JSON.stringify({ language, repeat: Number(document.getElementById('test-repeat').value) || 1, socketId: socket.id })
       });
 
-      const results = await response.json();
-      displayTestResults(results);
+      const job = await response.json();
+      if (!response.ok) {
+        showAlert(`Error running tests: ${job.error}`, 'error');
+        return;
+      }
+
+      localStorage.setItem('testJobId', job.id);
+      await followJob(job.id);
     } catch (err) {
       showAlert(`Error running tests: ${err.message}`, 'error');
     }
   };
 
-  window.addTestCase = async function() {
+  // Polls a job until it finishes, then shows its report
+  async function followJob(jobId) {
+    currentRun = { id: jobId, finished: 0 };
+    document.getElementById('test-results').innerHTML = '';
+    document.getElementById('test-progress').style.display = 'block';
+    updateTestProgress(0, 1, 'Queued...');
+
+    try {
+      let job;
+      for (;;) {
+        const response = await fetch(`/api/jobs/${jobId}`);
+        job = await response.json();
+        if (!response.ok) throw new Error(job.error);
+        if (FINISHED_JOB_STATUSES.includes(job.status)) break;
+
+        if (job.status === 'running' && job.progress.total !== null && job.progress.finished > currentRun.finished) {
+          updateTestProgress(job.progress.finished, job.progress.total, `Finished ${job.progress.finished}/${job.progress.total}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+        if (!currentRun || currentRun.id !== jobId) return;
+      }
+
+      if (job.status === 'failed') {
+        displayTestResults({ error: job.error });
+        return;
+      }
+
+      const response = await fetch(`/api/jobs/${jobId}/report`);
+      const report = await response.json();
+      if (response.ok && job.type === 'compare') {
+        displayLanguageComparison(report);
+      } else if (response.ok) {
+        displayTestResults(report);
+      } else {
+        document.getElementById('test-results').innerHTML = '<div class="alert alert-info">Run cancelled before it started</div>';
+      }
+    } catch (err) {
+      showAlert(`Error following test run: ${err.message}`, 'error');
+      localStorage.removeItem('testJobId');
+    } finally {
+      if (currentRun && currentRun.id === jobId) {
+        currentRun = null;
+        document.getElementById('test-progress').style.display = 'none';
+      }
+    }
+  }
+
+  // Shows the last run again after a reload, following it if still running
+  const lastJobId = localStorage.getItem('testJobId');
+  if (lastJobId) {
+    followJob(lastJobId);
+  }
+
+  window.cancelTests = async function() {
+    if (!currentRun) return;
+    document.getElementById('test-progress-label').textContent = 'Cancelling...';
+
+    try {
+      const response = await fetch(`/api/jobs/${currentRun.id}/cancel`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+      }
+    } catch (err) {
+      showAlert(`Error: ${err.message}`, 'error');
+    }
+  };
+
+  function updateTestProgress(done, total, label) {
+    document.getElementById('test-progress-label').textContent = label;
+    document.getElementById('test-progress-fill').style.width = `${total ? Math.round(done / total * 100) : 0}%`;
+  }
+
+  window.addTestCase = function() {
     const problemId = document.getElementById('test-problem-id').value;
     
     if (!problemId) {
@@ -430,45 +782,997 @@
       return;
     }
 
-    const input = prompt('Enter test input:');
-    const expected = prompt('Enter expected output:');
+    openTestCaseEditor(problemId, null);
+  };
+
+  // Test cases of the problem shown in the manager, kept for the editor
+  let managedTestCases = [];
+
+  window.manageTestCases = async function() {
+    const problemId = document.getElementById('test-problem-id').value;
     
-    if (!input || !expected) return;
+    if (!problemId) {
+      showAlert('Please enter a problem ID', 'error');
+      return;
+    }
 
     try {
-      const response = await fetch(`/api/problems/${problemId}/test-cases`, {
+      const response = await fetch(`/api/problems/${problemId}/test-cases`);
+      const testCases = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${testCases.error}`, 'error');
+        return;
+      }
+
+      managedTestCases = testCases;
+      document.getElementById('test-results').innerHTML = `
+        <div class="card">
+          <button class="btn" onclick="addTestCase()">New Test Case</button>
+          <button class="btn btn-secondary" onclick="editSubtasks()">Subtasks</button>
+          <div class="form-group">
+            <label for="test-case-zip">Import a zip of .in/.ans pairs</label>
+            <input type="file" id="test-case-zip" accept=".zip">
+            <button class="btn btn-secondary" onclick="importTestCases('zip')">Import Zip</button>
+          </div>
+          <div class="form-group">
+            <label for="test-case-directory">Or a folder in the server's import directory</label>
+            <input type="text" id="test-case-directory" placeholder="my-problem/tests">
+            <button class="btn btn-secondary" onclick="importTestCases('directory')">Import Directory</button>
+          </div>
+        </div>
+        ${testCases.length === 0 ? '<div class="alert alert-info">No test cases yet</div>' : ''}
+        ${testCases.map((testCase, i) => `
+          <div class="test-case">
+            <h4>${testCase.id}${testCase.label ? ` - ${escapeHtml(testCase.label)}` : ''}</h4>
+            <div class="problem-meta">
+              ${testCase.sample ? '<span>Sample</span>' : ''}
+              ${testCase.hidden ? '<span>Hidden</span>' : ''}
+              ${testCase.group ? `<span>Subtask: ${escapeHtml(testCase.group)}</span>` : ''}
+              ${testCase.file ? `<span>${testCase.file}.in (${testCase.size.input} chars) / .ans (${testCase.size.expected} chars)</span>` : ''}
+            </div>
+            ${testCase.note ? `<p>${escapeHtml(testCase.note)}</p>` : ''}
+            <div class="test-input"><strong>Input:</strong><pre>${escapeHtml(testCase.input)}</pre></div>
+            <div class="test-input"><strong>Expected:</strong><pre>${escapeHtml(testCase.expected)}</pre></div>
+            <button class="btn btn-secondary" onclick="editTestCase('${testCase.id}')">Edit</button>
+            <button class="btn btn-secondary" onclick="duplicateTestCase('${testCase.id}')">Duplicate</button>
+            <button class="btn btn-secondary" onclick="moveTestCase('${testCase.id}', -1)" ${i === 0 ? 'disabled' : ''}>Move Up</button>
+            <button class="btn btn-secondary" onclick="moveTestCase('${testCase.id}', 1)" ${i === testCases.length - 1 ? 'disabled' : ''}>Move Down</button>
+            <button class="btn btn-secondary" onclick="deleteTestCase('${testCase.id}')">Delete</button>
+          </div>
+        `).join('')}
+      `;
+    } catch (err) {
+      showAlert(`Error loading test cases: ${err.message}`, 'error');
+    }
+  };
+
+  window.importTestCases = async function(source) {
+    const problemId = document.getElementById('test-problem-id').value;
+    let request;
+
+    if (source === 'zip') {
+      const file = document.getElementById('test-case-zip').files[0];
+      if (!file) {
+        showAlert('Choose a zip file first', 'error');
+        return;
+      }
+      request = { method: 'POST', headers: { 'Content-Type': 'application/zip' }, body: file };
+    } else {
+      const directory = document.getElementById('test-case-directory').value.trim();
+      if (!directory) {
+        showAlert('Enter a directory first', 'error');
+        return;
+      }
+      request = {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ input, expected })
+        body: JSON.stringify({ directory })
+      };
+    }
+
+    try {
+      const response = await fetch(`/api/problems/${problemId}/test-cases/import`, request);
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+        return;
+      }
+
+      const skipped = result.skipped.length > 0 ? ` (skipped without answers: ${result.skipped.join(', ')})` : '';
+      showAlert(`Imported ${result.imported.length} test cases${skipped}`, 'success');
+      window.manageTestCases();
+    } catch (err) {
+      showAlert(`Error importing test cases: ${err.message}`, 'error');
+    }
+  };
+
+  window.editSubtasks = async function() {
+    const problemId = document.getElementById('test-problem-id').value;
+
+    try {
+      const response = await fetch(`/api/problems/${problemId}`);
+      const problem = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${problem.error}`, 'error');
+        return;
+      }
+
+      const modal = document.createElement('div');
+      modal.style.cssText = `
+        position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+        background: rgba(0,0,0,0.5); z-index: 1000; display: flex;
+        align-items: center; justify-content: center;
+      `;
+
+      const example = [
+        { id: 'small', name: 'n <= 100', points: 30, scoring: 'all', dependencies: [] },
+        { id: 'full', name: 'No constraints', points: 70, scoring: 'min', dependencies: ['small'] }
+      ];
+      modal.innerHTML = `
+        <div style="background: white; padding: 2rem; border-radius: 12px; width: 700px; max-width: 95vw; max-height: 90vh; overflow-y: auto;">
+          <h2>Subtasks</h2>
+          <div class="alert alert-info">A JSON list such as ${escapeHtml(JSON.stringify(example))}. Scoring is "all" (all or nothing) or "min" (lowest test score). Assign test cases to a subtask by its id in the test case editor.</div>
+          <div class="form-group">
+            <textarea id="subtasks-json" rows="12" style="font-family: monospace;">${escapeHtml(JSON.stringify(problem.metadata.subtasks || [], null, 2))}</textarea>
+          </div>
+          <button class="btn" onclick="saveSubtasks(this)">Save</button>
+          <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
+        </div>
+      `;
+
+      modal.className = 'modal';
+      document.body.appendChild(modal);
+    } catch (err) {
+      showAlert(`Error loading subtasks: ${err.message}`, 'error');
+    }
+  };
+
+  window.saveSubtasks = async function(button) {
+    const modal = button.closest('.modal');
+    const problemId = document.getElementById('test-problem-id').value;
+    let subtasks;
+
+    try {
+      subtasks = JSON.parse(modal.querySelector('#subtasks-json').value);
+    } catch (err) {
+      showAlert(`Subtasks are not valid JSON: ${err.message}`, 'error');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/problems/${problemId}/subtasks`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ subtasks })
       });
 
-      if (response.ok) {
-        showAlert('Test case added successfully!', 'success');
-      } else {
-        showAlert('Error adding test case', 'error');
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+        return;
       }
+
+      modal.remove();
+      showAlert('Subtasks saved', 'success');
     } catch (err) {
       showAlert(`Error: ${err.message}`, 'error');
     }
   };
 
-  function displayTestResults(results) {
-    const testResults = document.getElementById('test-results');
-    
-    testResults.innerHTML = `
-      <div class="alert alert-${results.summary.failed === 0 ? 'success' : 'error'}">
-        Tests: ${results.summary.passed}/${results.summary.total} passed
-      </div>
-      ${results.details.map(test => `
-        <div class="test-case ${test.passed ? '' : 'failed'}">
-          <h4>${test.testName} - ${test.passed ? 'PASSED' : 'FAILED'}</h4>
-          <div class="test-input"><strong>Input:</strong> ${test.input}</div>
-          <div class="test-input"><strong>Expected:</strong> ${test.expected}</div>
-          <div class="test-input"><strong>Actual:</strong> ${test.actual}</div>
-          ${test.diff ? `<div class="code-block"><strong>Diff:</strong><br>${test.diff}</div>` : ''}
-          ${test.error ? `<div class="alert alert-error">Error: ${test.error}</div>` : ''}
-        </div>
-      `).join('')}
+  window.editTestCase = function(id) {
+    const problemId = document.getElementById('test-problem-id').value;
+    openTestCaseEditor(problemId, managedTestCases.find(testCase => testCase.id === id));
+  };
+
+  window.saveTestCase = async function(button) {
+    const modal = button.closest('.modal');
+    const { problemId, caseId } = modal.dataset;
+    const testCase = {
+      label: modal.querySelector('#test-case-label').value,
+      note: modal.querySelector('#test-case-note').value,
+      group: modal.querySelector('#test-case-group').value.trim() || null,
+      sample: modal.querySelector('#test-case-sample').checked,
+      hidden: modal.querySelector('#test-case-hidden').checked
+    };
+    // File-backed cases only show a preview, so their data is left alone
+    if (!modal.dataset.fileBacked) {
+      testCase.input = modal.querySelector('#test-case-input').value;
+      testCase.expected = modal.querySelector('#test-case-expected').value;
+    }
+
+    try {
+      const response = await fetch(`/api/problems/${problemId}/test-cases${caseId ? `/${caseId}` : ''}`, {
+        method: caseId ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(testCase)
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+        return;
+      }
+
+      modal.remove();
+      showAlert(caseId ? 'Test case updated' : 'Test case added successfully!', 'success');
+      window.manageTestCases();
+    } catch (err) {
+      showAlert(`Error: ${err.message}`, 'error');
+    }
+  };
+
+  window.duplicateTestCase = async function(id) {
+    await changeTestCases(`/${id}/duplicate`, { method: 'POST' });
+  };
+
+  window.deleteTestCase = async function(id) {
+    if (!confirm(`Delete test case ${id}?`)) return;
+    await changeTestCases(`/${id}`, { method: 'DELETE' });
+  };
+
+  window.moveTestCase = async function(id, offset) {
+    const ids = managedTestCases.map(testCase => testCase.id);
+    const from = ids.indexOf(id);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= ids.length) return;
+
+    ids.splice(to, 0, ids.splice(from, 1)[0]);
+    await changeTestCases('/order', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids })
+    });
+  };
+
+  async function changeTestCases(suffix, request) {
+    const problemId = document.getElementById('test-problem-id').value;
+
+    try {
+      const response = await fetch(`/api/problems/${problemId}/test-cases${suffix}`, request);
+      if (!response.ok) {
+        const result = await response.json();
+        showAlert(`Error: ${result.error}`, 'error');
+      }
+      window.manageTestCases();
+    } catch (err) {
+      showAlert(`Error: ${err.message}`, 'error');
+    }
+  }
+
+  function openTestCaseEditor(problemId, testCase) {
+    const fileBacked = Boolean(testCase && testCase.file);
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+      background: rgba(0,0,0,0.5); z-index: 1000; display: flex;
+      align-items: center; justify-content: center;
+    `;
+
+    modal.innerHTML = `
+      <div style="background: white; padding: 2rem; border-radius: 12px; width: 700px; max-width: 95vw; max-height: 90vh; overflow-y: auto;">
+        <h2>${testCase ? `Edit ${testCase.id}` : 'New Test Case'}</h2>
+        ${fileBacked ? `<div class="alert alert-info">Stored in ${testCase.file}.in and ${testCase.file}.ans; edit those files to change the data.</div>` : ''}
+        <div class="form-group">
+          <label for="test-case-input">Input</label>
+          <textarea id="test-case-input" rows="8" style="font-family: monospace;" ${fileBacked ? 'readonly' : ''}>${testCase ? escapeHtml(testCase.input) : ''}</textarea>
+        </div>
+        <div class="form-group">
+          <label for="test-case-expected">Expected Output</label>
+          <textarea id="test-case-expected" rows="8" style="font-family: monospace;" ${fileBacked ? 'readonly' : ''}>${testCase ? escapeHtml(testCase.expected) : ''}</textarea>
+        </div>
+        <div class="form-group">
+          <label for="test-case-label">Label</label>
+          <input type="text" id="test-case-label" maxlength="100" value="${testCase ? escapeHtml(testCase.label).replace(/"/g, '&quot;') : ''}">
+        </div>
+        <div class="form-group">
+          <label for="test-case-group">Subtask</label>
+          <input type="text" id="test-case-group" placeholder="Subtask id, blank for none" value="${testCase && testCase.group ? escapeHtml(testCase.group).replace(/"/g, '&quot;') : ''}">
+        </div>
+        <div class="form-group">
+          <label for="test-case-note">Note</label>
+          <textarea id="test-case-note" rows="3">${testCase ? escapeHtml(testCase.note) : ''}</textarea>
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" id="test-case-sample" ${testCase && testCase.sample ? 'checked' : ''}> Sample (shown with the problem)</label>
+          <label><input type="checkbox" id="test-case-hidden" ${testCase && testCase.hidden ? 'checked' : ''}> Hidden (verdict only in reports)</label>
+        </div>
+        <button class="btn" onclick="saveTestCase(this)">Save</button>
+        <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
+      </div>
+    `;
+
+    modal.className = 'modal';
+    modal.dataset.problemId = problemId;
+    if (testCase) modal.dataset.caseId = testCase.id;
+    if (fileBacked) modal.dataset.fileBacked = 'true';
+    document.body.appendChild(modal);
+    modal.querySelector('#test-case-input').focus();
+  }
+
+  function openModal(content) {
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+      background: rgba(0,0,0,0.5); z-index: 1000; display: flex;
+      align-items: center; justify-content: center;
+    `;
+    modal.innerHTML = `
+      <div style="background: white; padding: 2rem; border-radius: 12px; width: 1000px; max-width: 95vw; max-height: 90vh; overflow-y: auto;">
+        ${content}
+      </div>
+    `;
+    modal.className = 'modal';
+    document.body.appendChild(modal);
+    return modal;
+  }
+
+  window.editSolution = async function() {
+    const problemId = document.getElementById('test-problem-id').value;
+    const language = document.getElementById('test-language').value;
+
+    if (!problemId) {
+      showAlert('Please enter a problem ID', 'error');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/problems/${problemId}/solution?language=${encodeURIComponent(language)}`);
+      const solution = await response.json();
+      // A missing file is created on the first save
+      const source = response.ok ? solution.source : '';
+
+      const modal = openModal(`
+        <h2>Solution (${escapeHtml(language)})</h2>
+        ${response.ok ? `<div class="problem-meta"><span>${escapeHtml(solution.fileName)}</span><span>Last saved ${new Date(solution.updatedAt).toLocaleString()}</span></div>` : `<div class="alert alert-info">${escapeHtml(solution.error)}</div>`}
+        <div class="form-group">
+          <textarea id="solution-source" rows="24" style="font-family: monospace;" spellcheck="false">${escapeHtml(source)}</textarea>
+        </div>
+        <button class="btn" onclick="saveSolution(this)">Save</button>
+        <button class="btn btn-secondary" onclick="showSnapshots()">Snapshots</button>
+        <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Close</button>
+      `);
+      modal.dataset.problemId = problemId;
+      modal.dataset.language = language;
+    } catch (err) {
+      showAlert(`Error loading solution: ${err.message}`, 'error');
+    }
+  };
+
+  window.saveSolution = async function(button) {
+    const modal = button.closest('.modal');
+
+    try {
+      const response = await fetch(`/api/problems/${modal.dataset.problemId}/solution`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ language: modal.dataset.language, source: modal.querySelector('#solution-source').value })
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+        return;
+      }
+      showAlert(`Saved ${result.fileName} (snapshot ${result.snapshot.id})`, 'success');
+    } catch (err) {
+      showAlert(`Error saving solution: ${err.message}`, 'error');
+    }
+  };
+
+  window.showSnapshots = async function() {
+    const problemId = document.getElementById('test-problem-id').value;
+    const language = document.getElementById('test-language').value;
+
+    if (!problemId) {
+      showAlert('Please enter a problem ID', 'error');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/problems/${problemId}/snapshots?language=${encodeURIComponent(language)}`);
+      const snapshots = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${snapshots.error}`, 'error');
+        return;
+      }
+
+      const modal = openModal(`
+        <h2>Snapshots (${escapeHtml(language)})</h2>
+        ${snapshots.length === 0 ? '<div class="alert alert-info">No snapshots yet. They are taken whenever the solution is saved or tested.</div>' : ''}
+        ${snapshots.map((snapshot, i) => `
+          <div class="problem-meta">
+            <span>${new Date(snapshot.timestamp).toLocaleString()}</span>
+            <span>${snapshot.reason}</span>
+            <span>${snapshot.size} chars</span>
+            <button class="btn btn-secondary" onclick="compareSnapshots('${snapshot.id}')">Diff with current</button>
+            ${snapshots[i + 1] ? `<button class="btn btn-secondary" onclick="compareSnapshots('${snapshots[i + 1].id}', '${snapshot.id}')">Diff with previous</button>` : ''}
+            <button class="btn btn-secondary" onclick="restoreSnapshot('${snapshot.id}')">Restore</button>
+          </div>
+        `).join('')}
+        <div id="snapshot-diff"></div>
+        <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Close</button>
+      `);
+      modal.dataset.problemId = problemId;
+    } catch (err) {
+      showAlert(`Error loading snapshots: ${err.message}`, 'error');
+    }
+  };
+
+  window.compareSnapshots = async function(from, to = '') {
+    const problemId = document.getElementById('test-problem-id').value;
+
+    try {
+      const response = await fetch(`/api/problems/${problemId}/snapshots/compare?from=${from}&to=${to}`);
+      const comparison = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${comparison.error}`, 'error');
+        return;
+      }
+
+      document.getElementById('snapshot-diff').innerHTML = `
+        <h3>${new Date(comparison.from.timestamp).toLocaleString()} → ${comparison.to.id ? new Date(comparison.to.timestamp).toLocaleString() : 'current'}</h3>
+        ${renderSideBySide(comparison)}
+      `;
+    } catch (err) {
+      showAlert(`Error comparing snapshots: ${err.message}`, 'error');
+    }
+  };
+
+  window.restoreSnapshot = async function(snapshotId) {
+    const problemId = document.getElementById('test-problem-id').value;
+    if (!confirm('Replace the current solution with this snapshot?')) return;
+
+    try {
+      const response = await fetch(`/api/problems/${problemId}/snapshots/${snapshotId}/restore`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+        return;
+      }
+
+      showAlert(`Restored ${result.fileName}`, 'success');
+      document.querySelectorAll('.modal').forEach(modal => modal.remove());
+    } catch (err) {
+      showAlert(`Error restoring snapshot: ${err.message}`, 'error');
+    }
+  };
+
+  window.scratchRun = async function() {
+    const problemId = document.getElementById('test-problem-id').value;
+    const language = document.getElementById('test-language').value;
+    const input = document.getElementById('scratch-input').value;
+    const output = document.getElementById('scratch-output');
+
+    if (!problemId) {
+      showAlert('Please enter a problem ID', 'error');
+      return;
+    }
+
+    try {
+      output.innerHTML = '<div class="loading">Running...</div>';
+      const response = await fetch(`/api/problems/${problemId}/scratch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ language, input })
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        output.innerHTML = `<div class="alert alert-error">Error: ${escapeHtml(result.error)}</div>`;
+        return;
+      }
+
+      if (result.verdict === 'CE') {
+        output.innerHTML = `
+          <div class="alert alert-error">${result.verdictLabel}</div>
+          <div class="code-block"><pre>${escapeHtml(result.compilation.output)}</pre></div>
+        `;
+        return;
+      }
+
+      output.innerHTML = `
+        <div class="alert alert-${result.verdict ? 'error' : 'success'}" style="margin-top: 1rem;">
+          ${result.verdict ? escapeHtml(result.message) : 'Finished'} (exit code ${result.exitCode === null ? '-' : result.exitCode})
+        </div>
+        <div class="problem-meta">
+          <span>Time: ${formatTime(result.wallTime)}</span>
+          <span>CPU: ${formatTime(result.cpuTime)}</span>
+          <span>Memory: ${formatMemory(result.peakMemory)}</span>
+        </div>
+        <div class="test-input"><strong>stdout:</strong><pre>${escapeHtml(result.stdout)}</pre></div>
+        ${result.output ? `<div class="test-input"><strong>Printed:</strong><pre>${escapeHtml(result.output)}</pre></div>` : ''}
+        ${result.stderr ? `<div class="test-input"><strong>stderr:</strong><pre>${escapeHtml(result.stderr)}</pre></div>` : ''}
+      `;
+    } catch (err) {
+      output.innerHTML = '';
+      showAlert(`Error: ${err.message}`, 'error');
+    }
+  };
+
+  window.stressTest = async function() {
+    const problemId = document.getElementById('test-problem-id').value;
+    const language = document.getElementById('test-language').value;
+    
+    if (!problemId) {
+      showAlert('Please enter a problem ID', 'error');
+      return;
+    }
+
+    const iterations = Number(prompt('Number of iterations:', '100'));
+    if (!iterations) return;
+
+    try {
+      showAlert(`Stress testing with ${iterations} iterations...`, 'info');
+      const response = await fetch(`/api/problems/${problemId}/stress`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ language, iterations })
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+      } else if (result.found) {
+        showAlert(`Counterexample found after ${result.iterations} iterations (seed ${result.seed}) and saved as a test case`, 'error');
+        displayTestResults({
+          summary: { passed: 0, failed: 1, total: 1 },
+          details: [result.test]
+        });
+      } else {
+        showAlert(`No mismatch found in ${result.iterations} iterations`, 'success');
+      }
+    } catch (err) {
+      showAlert(`Error: ${err.message}`, 'error');
+    }
+  };
+
+  window.estimateComplexity = async function() {
+    const problemId = document.getElementById('test-problem-id').value;
+    const language = document.getElementById('test-language').value;
+
+    if (!problemId) {
+      showAlert('Please enter a problem ID', 'error');
+      return;
+    }
+
+    const sizes = prompt('Input sizes (n), comma separated:', '100, 200, 500, 1000, 2000, 5000, 10000, 20000, 50000, 100000');
+    if (!sizes) return;
+
+    try {
+      showAlert('Timing the solution on growing inputs...', 'info');
+      const response = await fetch(`/api/problems/${problemId}/complexity`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ language, sizes: sizes.split(',').map(n => Number(n.trim())) })
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+        return;
+      }
+
+      showAlert(`Estimated complexity: ${result.estimate}`, 'success');
+      document.getElementById('test-results').innerHTML = `
+        <div class="card">
+          <h3>Estimated complexity: ${escapeHtml(result.estimate)}</h3>
+          ${result.stoppedAt ? `<p>Stopped at n = ${result.stoppedAt.n}: ${escapeHtml(result.stoppedAt.reason)}</p>` : ''}
+          ${renderComplexityChart(result)}
+          <table style="width: 100%; margin-top: 1rem;">
+            <tr><th>n</th><th>Input</th><th>Time</th><th>CPU</th><th>Memory</th></tr>
+            ${result.points.map(point => `
+              <tr>
+                <td>${point.n}</td>
+                <td>${point.inputSize} chars</td>
+                <td>${formatTime(point.wallTime)}</td>
+                <td>${formatTime(point.cpuTime)}</td>
+                <td>${formatMemory(point.peakMemory)}</td>
+              </tr>
+            `).join('')}
+          </table>
+          <p style="margin-top: 1rem;">
+            ${result.models.filter(model => model.name !== 'O(1)').map(model => `
+              ${model.name === result.estimate ? '<strong>' : ''}${escapeHtml(model.name)}: r² ${model.r2.toFixed(3)}${model.name === result.estimate ? '</strong>' : ''}
+            `).join(' · ')}
+          </p>
+        </div>
+      `;
+    } catch (err) {
+      showAlert(`Error: ${err.message}`, 'error');
+    }
+  };
+
+  window.addSolutionLanguage = async function() {
+    const problemId = document.getElementById('test-problem-id').value;
+    const language = document.getElementById('test-language').value;
+
+    if (!problemId) {
+      showAlert('Please enter a problem ID', 'error');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/problems/${problemId}/solutions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ language })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+        return;
+      }
+
+      showAlert(`Added ${result.fileName} from the ${language} template`, 'success');
+    } catch (err) {
+      showAlert(`Error: ${err.message}`, 'error');
+    }
+  };
+
+  window.testAllLanguages = async function() {
+    const problemId = document.getElementById('test-problem-id').value;
+
+    if (!problemId) {
+      showAlert('Please enter a problem ID', 'error');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/problems/${problemId}/solutions/test`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ socketId: socket.id })
+      });
+      const job = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${job.error}`, 'error');
+        return;
+      }
+
+      localStorage.setItem('testJobId', job.id);
+      await followJob(job.id);
+    } catch (err) {
+      showAlert(`Error: ${err.message}`, 'error');
+    }
+  };
+
+  function displayLanguageComparison(comparison) {
+    const languages = comparison.languages;
+    document.getElementById('test-results').innerHTML = `
+      <div class="card">
+        <h3>Language comparison</h3>
+        ${comparison.fastest ? `<p>Fastest accepted solution: <strong>${escapeHtml(comparison.fastest)}</strong></p>` : ''}
+        <table style="width: 100%;">
+          <tr>
+            <th>Test</th>
+            ${languages.map(entry => `<th>${escapeHtml(entry.language)}</th>`).join('')}
+          </tr>
+          <tr>
+            <td><strong>Overall</strong></td>
+            ${languages.map(entry => `
+              <td>${entry.error
+                ? `<span style="color: #dc3545;">${escapeHtml(entry.error)}</span>`
+                : `<strong>${entry.verdict}</strong> ${entry.summary.passed}/${entry.summary.total} · ${formatTime(entry.totalWallTime)}`}</td>
+            `).join('')}
+          </tr>
+          ${comparison.tests.map(test => `
+            <tr>
+              <td>${test.testName}${test.label ? ` (${escapeHtml(test.label)})` : ''}</td>
+              ${languages.map(entry => {
+                const result = test.results[entry.language];
+                return `<td>${result ? `${result.verdict} · ${formatTime(result.wallTime)} · ${formatMemory(result.peakMemory)}` : '-'}</td>`;
+              }).join('')}
+            </tr>
+          `).join('')}
+        </table>
+      </div>
+    `;
+  }
+
+  // Measured times as dots with the best-fitting curve drawn through them
+  function renderComplexityChart(result) {
+    const width = 600;
+    const height = 300;
+    const padding = 40;
+    // log2 of each growth rate, matching the server's fit, so 2^n stays finite
+    const growth = {
+      'O(1)': () => -Infinity,
+      'O(log n)': n => Math.log2(Math.log2(n)),
+      'O(n)': n => Math.log2(n),
+      'O(n log n)': n => Math.log2(n) + Math.log2(Math.log2(n)),
+      'O(n²)': n => 2 * Math.log2(n),
+      'O(2^n)': n => n
+    };
+
+    const points = result.points;
+    const model = result.models.find(entry => entry.name === result.estimate);
+    const maxN = Math.max(...points.map(point => point.n));
+    const minN = Math.min(...points.map(point => point.n));
+    const curve = [];
+    for (let i = 0; i <= 50; i++) {
+      const n = minN + (maxN - minN) * i / 50;
+      // log2b is null (JSON for -Infinity) when the model has no slope
+      const scale = model.log2b === null ? 0 : Math.pow(2, model.log2b + growth[model.name](n));
+      curve.push({ n, time: model.a + scale });
+    }
+
+    const maxTime = Math.max(...points.map(point => point.wallTime), ...curve.map(point => point.time), 1);
+    const x = n => padding + (n / maxN) * (width - 2 * padding);
+    const y = time => height - padding - (Math.max(0, time) / maxTime) * (height - 2 * padding);
+
+    return `
+      <svg viewBox="0 0 ${width} ${height}" style="width: 100%; max-width: ${width}px; background: #f8f9fa; border-radius: 4px;">
+        <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" stroke="#999" />
+        <line x1="${padding}" y1="${padding}" x2="${padding}" y2="${height - padding}" stroke="#999" />
+        <text x="${width - padding}" y="${height - 10}" text-anchor="end" font-size="12">n = ${maxN}</text>
+        <text x="${padding + 4}" y="${padding - 8}" font-size="12">${formatTime(maxTime)}</text>
+        <polyline fill="none" stroke="#3498db" stroke-width="2"
+          points="${curve.map(point => `${x(point.n).toFixed(1)},${y(point.time).toFixed(1)}`).join(' ')}" />
+        ${points.map(point => `<circle cx="${x(point.n).toFixed(1)}" cy="${y(point.wallTime).toFixed(1)}" r="4" fill="#e74c3c"><title>n = ${point.n}: ${formatTime(point.wallTime)}</title></circle>`).join('')}
+      </svg>
+    `;
+  }
+
+  window.minimizeTest = async function(testName) {
+    const problemId = document.getElementById('test-problem-id').value;
+    const language = document.getElementById('test-language').value;
+
+    try {
+      showAlert(`Minimizing ${testName}...`, 'info');
+      const response = await fetch(`/api/problems/${problemId}/minimize`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ testName, language })
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${result.error}`, 'error');
+        return;
+      }
+
+      if (!result.testCase) {
+        // Without a reference solution there is no expected output for the new input
+        showAlert(`Reduced input from ${result.originalSize} to ${result.input.length} characters in ${result.runs} runs. Add a brute.* reference to save it as a test case, or add it yourself with its expected output.`, 'info');
+        document.getElementById('test-results').innerHTML = `
+          <div class="test-case failed">
+            <h4>Minimized input (${escapeHtml(result.test.verdictLabel || result.test.verdict)})</h4>
+            <div class="code-block"><pre>${escapeHtml(result.input)}</pre></div>
+          </div>
+        `;
+        return;
+      }
+
+      showAlert(`Reduced input from ${result.originalSize} to ${result.input.length} characters in ${result.runs} runs and saved it as a test case`, 'success');
+      displayTestResults({
+        summary: { passed: 0, failed: 1, total: 1 },
+        details: [result.test]
+      });
+    } catch (err) {
+      showAlert(`Error: ${err.message}`, 'error');
+    }
+  };
+
+  window.showRunHistory = async function() {
+    const problemId = document.getElementById('test-problem-id').value;
+    
+    if (!problemId) {
+      showAlert('Please enter a problem ID', 'error');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/problems/${problemId}/runs?limit=20`);
+      const runs = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${runs.error}`, 'error');
+        return;
+      }
+
+      document.getElementById('test-results').innerHTML = runs.length === 0
+        ? '<div class="alert alert-info">No runs recorded yet</div>'
+        : runs.map(run => `
+          <div class="test-case ${run.summary.failed === 0 && !run.verdict ? '' : 'failed'}">
+            <h4>${new Date(run.timestamp).toLocaleString()} - ${run.language}</h4>
+            <div class="problem-meta">
+              <span>${run.verdict === 'CE' ? 'Compilation Error' : `${run.summary.passed}/${run.summary.total} passed`}</span>
+              <span>Source: ${run.sourceHash || 'unknown'}</span>
+              ${run.regressions.length > 0 ? `<span style="color: #dc3545;">Regressions: ${run.regressions.join(', ')}</span>` : ''}
+            </div>
+            ${run.previousRunId ? `<button class="btn btn-secondary" onclick="compareRuns('${run.previousRunId}', '${run.id}')">Compare with previous</button>` : ''}
+          </div>
+        `).join('');
+    } catch (err) {
+      showAlert(`Error loading run history: ${err.message}`, 'error');
+    }
+  };
+
+  window.compareRuns = async function(from, to) {
+    const problemId = document.getElementById('test-problem-id').value;
+
+    try {
+      const response = await fetch(`/api/problems/${problemId}/runs/compare?from=${from}&to=${to}`);
+      const comparison = await response.json();
+      if (!response.ok) {
+        showAlert(`Error: ${comparison.error}`, 'error');
+        return;
+      }
+
+      const changed = comparison.tests.filter(test => test.status !== 'unchanged');
+      document.getElementById('test-results').innerHTML = `
+        <div class="alert alert-info">
+          ${comparison.from.summary.passed}/${comparison.from.summary.total} passed &rarr; ${comparison.to.summary.passed}/${comparison.to.summary.total} passed
+          ${comparison.sourceChanged ? '' : '(same source)'}
+        </div>
+        ${changed.length === 0 ? '<p>No verdict changes between these runs.</p>' : ''}
+        ${changed.map(test => `
+          <div class="test-case ${test.status === 'regressed' ? 'failed' : ''}">
+            <h4>${test.testName} - ${test.status}</h4>
+            <div class="problem-meta">
+              <span>${test.before || '-'} &rarr; ${test.after || '-'}</span>
+              ${test.wallTimeChange !== null ? `<span>Time: ${test.wallTimeChange >= 0 ? '+' : '-'}${formatTime(Math.abs(test.wallTimeChange))}</span>` : ''}
+            </div>
+          </div>
+        `).join('')}
+        <button class="btn btn-secondary" onclick="showRunHistory()">Back to history</button>
+      `;
+    } catch (err) {
+      showAlert(`Error comparing runs: ${err.message}`, 'error');
+    }
+  };
+
+  function displayTestResults(results) {
+    const testResults = document.getElementById('test-results');
+
+    if (results.error) {
+      testResults.innerHTML = `<div class="alert alert-error">Error: ${results.error}</div>`;
+      return;
+    }
+
+    if (results.verdict === 'CE') {
+      testResults.innerHTML = `
+        <div class="alert alert-error">${results.verdictLabel}</div>
+        ${results.compilation.diagnostics.map(diagnostic => `
+          <div class="test-input">${escapeHtml(diagnostic.file)}:${diagnostic.line}${diagnostic.column ? `:${diagnostic.column}` : ''} ${diagnostic.severity}: ${escapeHtml(diagnostic.message)}</div>
+        `).join('')}
+        <div class="code-block"><pre>${escapeHtml(results.compilation.output)}</pre></div>
+      `;
+      return;
+    }
+    
+    testResults.innerHTML = `
+      <div class="alert alert-${results.summary.failed === 0 ? 'success' : 'error'}">
+        Tests: ${results.summary.passed}/${results.summary.total} passed
+      </div>
+      ${results.summary.wallTime ? `
+        <div class="problem-meta">
+          <span>Time: max ${formatTime(results.summary.wallTime.max)}, avg ${formatTime(results.summary.wallTime.avg)}</span>
+          <span>CPU: max ${formatTime(results.summary.cpuTime.max)}, avg ${formatTime(results.summary.cpuTime.avg)}</span>
+          <span>Memory: max ${formatMemory(results.summary.peakMemory.max)}, avg ${formatMemory(results.summary.peakMemory.avg)}</span>
+          ${results.summary.slowestTest ? `<span>Slowest: ${results.summary.slowestTest}</span>` : ''}
+        </div>
+      ` : ''}
+      ${results.cancelled ? '<div class="alert alert-info">Run cancelled; remaining tests were skipped</div>' : ''}
+      ${results.scoring ? renderScoring(results.scoring) : ''}
+      ${results.regressions && results.regressions.length > 0 ? `<div class="alert alert-error">Regressions since the previous run: ${results.regressions.join(', ')}</div>` : ''}
+      ${results.repeat ? `
+        <div class="alert alert-${results.flaky.length > 0 ? 'error' : 'info'}">
+          Each test ran ${results.repeat} times: ${results.flaky.length > 0 ? `flaky tests ${results.flaky.join(', ')}` : 'no flaky tests'}
+        </div>
+      ` : ''}
+      ${results.details.map(test => renderTestCase(test, results.summary.slowestTest)).join('')}
+    `;
+  }
+
+  function renderTestCase(test, slowestTest = null) {
+    return `
+      <div class="test-case ${test.passed ? '' : 'failed'}">
+        <h4>${test.testName}${test.label ? ` (${escapeHtml(test.label)})` : ''} - ${test.verdictLabel || (test.passed ? 'PASSED' : 'FAILED')}${test.score !== undefined && test.score < 1 ? ` ${formatPoints(test.score)}` : ''}${test.regressed ? ' (regression)' : ''}</h4>
+        ${test.group ? `<div class="problem-meta"><span>Subtask: ${escapeHtml(test.group)}</span></div>` : ''}
+        ${test.repeats ? renderRepeats(test) : ''}
+        ${test.wallTime !== undefined ? `
+          <div class="problem-meta">
+            <span${test.testName === slowestTest ? ' style="color: #dc3545; font-weight: 600;"' : ''}>Time: ${formatTime(test.wallTime)}</span>
+            <span>CPU: ${formatTime(test.cpuTime)}</span>
+            <span>Memory: ${formatMemory(test.peakMemory)}</span>
+          </div>
+        ` : ''}
+        ${test.hidden ? '<div class="test-input">Hidden test case</div>' : `
+          <div class="test-input"><strong>Input:</strong> ${escapeHtml(test.input)}</div>
+          <div class="test-input"><strong>Expected:</strong> ${escapeHtml(test.expected)}</div>
+          <div class="test-input"><strong>Actual:</strong> ${escapeHtml(test.actual)}</div>
+        `}
+        ${test.output ? `<div class="test-input"><strong>Printed:</strong> ${escapeHtml(test.output)}</div>` : ''}
+        ${test.diff ? renderDiff(test.diff) : ''}
+        ${test.transcript ? `
+          <details>
+            <summary>Transcript (${test.queries} queries)</summary>
+            <div class="code-block"><pre>${test.transcript.map(entry => `${entry.from === 'solution' ? '>' : '<'} [${entry.time} ms] ${escapeHtml(entry.text)}`).join('\n')}</pre></div>
+          </details>
+        ` : ''}
+        ${test.checkerMessage ? `<div class="test-input"><strong>Checker:</strong> ${escapeHtml(test.checkerMessage)}</div>` : ''}
+        ${test.error ? `<div class="alert alert-error">Error: ${escapeHtml(test.error)}</div>` : ''}
+        ${test.passed ? '' : `<button class="btn btn-secondary" onclick="minimizeTest('${test.testName}')">Minimize Input</button>`}
+      </div>
+    `;
+  }
+
+  function renderRepeats(test) {
+    const { runs, verdicts, distinctOutputs, wallTime } = test.repeats;
+    return `
+      <div class="problem-meta">
+        ${test.flaky ? '<span style="color: #dc3545; font-weight: 600;">Flaky</span>' : ''}
+        <span>${runs} runs: ${Object.entries(verdicts).map(([verdict, count]) => `${verdict} ×${count}`).join(', ')}</span>
+        <span>${distinctOutputs} distinct output${distinctOutputs === 1 ? '' : 's'}</span>
+        <span>Time: ${formatTime(wallTime.min)} – ${formatTime(wallTime.max)}, mean ${formatTime(wallTime.mean)} ± ${formatTime(wallTime.stdDev)} (${Math.round(wallTime.cv * 100)}%)</span>
+      </div>
+    `;
+  }
+
+  function renderScoring(scoring) {
+    return `
+      <div class="card">
+        <h3>Score: ${formatPoints(scoring.score)} / ${formatPoints(scoring.total)}</h3>
+        ${scoring.groups.map(group => `
+          <div class="problem-meta">
+            <span><strong>${escapeHtml(group.name)}</strong>: ${formatPoints(group.score)} / ${formatPoints(group.points)}</span>
+            <span>${group.passed}/${group.total} passed (${group.scoring === 'min' ? 'min' : 'all or nothing'})</span>
+            ${group.blockedBy.length > 0 ? `<span style="color: #dc3545;">Needs ${group.blockedBy.join(', ')}</span>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  function formatPoints(points) {
+    return Number.isInteger(points) ? String(points) : points.toFixed(2);
+  }
+
+  // Two-column view of a snapshot comparison
+  function renderSideBySide(comparison) {
+    const renderCell = (cell, type) => {
+      if (!cell) return '<td class="diff-line-number"></td><td></td>';
+      const text = cell.segments
+        ? cell.segments.map(segment => (segment.changed ? `<mark>${escapeHtml(segment.text)}</mark>` : escapeHtml(segment.text))).join('')
+        : escapeHtml(cell.text);
+      return `<td class="diff-line-number">${cell.line}</td><td class="${type}">${text}</td>`;
+    };
+
+    return `
+      <table class="diff-side-by-side">
+        ${comparison.hunks.map(hunk => `
+          <tr class="diff-hunk-header"><td colspan="4">@@ -${hunk.expectedStart},${hunk.expectedCount} +${hunk.actualStart},${hunk.actualCount} @@</td></tr>
+          ${hunk.rows.map(row => `
+            <tr>
+              ${renderCell(row.left, row.type === 'change' ? 'diff-delete' : '')}
+              ${renderCell(row.right, row.type === 'change' ? 'diff-insert' : '')}
+            </tr>
+          `).join('')}
+        `).join('')}
+      </table>
+      ${comparison.identical ? '<div>No differences</div>' : ''}
+      ${comparison.truncated ? '<div>Diff truncated</div>' : ''}
+    `;
+  }
+
+  function renderDiff(diff) {
+    const prefixes = { equal: ' ', delete: '-', insert: '+' };
+    const first = diff.firstDifference;
+    const describeToken = (token) => (token.text === null ? 'nothing' : `"${escapeHtml(token.text)}" (line ${token.line}, column ${token.column})`);
+
+    return `
+      ${first ? `<div class="test-input"><strong>First difference:</strong> token ${first.token}, expected ${describeToken(first.expected)}, found ${describeToken(first.actual)}</div>` : ''}
+      <div class="code-block">
+        <strong>Diff:</strong>
+        ${diff.hunks.map(hunk => `
+          <div class="diff-line diff-hunk-header">@@ -${hunk.expectedStart},${hunk.expectedCount} +${hunk.actualStart},${hunk.actualCount} @@</div>
+          ${hunk.lines.map(line => `<div class="diff-line${line.type === 'equal' ? '' : ` diff-${line.type}`}">${prefixes[line.type]} ${line.segments
+            ? line.segments.map(segment => (segment.changed ? `<mark>${escapeHtml(segment.text)}</mark>` : escapeHtml(segment.text))).join('')
+            : escapeHtml(line.text)}</div>`).join('')}
+        `).join('')}
+        ${diff.identical ? '<div>No line differences</div>' : ''}
+        ${diff.truncated ? '<div>Diff truncated</div>' : ''}
+      </div>
     `;
   }
 })();
@@ -0,0 +1,105 @@
+'use strict';
+
+// Candidate growth rates, simplest first, as log2 of f(n) so that 2^n stays
+// finite for any n a test can reach
+const MODELS = [
+  { name: 'O(1)', log2: () => -Infinity },
+  { name: 'O(log n)', log2: n => Math.log2(Math.log2(n)) },
+  { name: 'O(n)', log2: n => Math.log2(n) },
+  { name: 'O(n log n)', log2: n => Math.log2(n) + Math.log2(Math.log2(n)) },
+  { name: 'O(n²)', log2: n => 2 * Math.log2(n) },
+  { name: 'O(2^n)', log2: n => n }
+];
+
+// Growth below this share of the smallest timing is treated as noise
+const CONSTANT_TOLERANCE = 0.2;
+const MIN_GROWTH = 5; // ms
+
+// A simpler model wins unless a more complex one fits clearly better
+const FIT_TOLERANCE = 0.02;
+
+class ComplexityEstimator {
+  // Fits time = a + b * f(n) for every model by least squares over
+  // `points` ({ n, time }) and picks the best match. Returns the ranking
+  // with r² and coefficients so callers can draw the fitted curves.
+  fit(points) {
+    if (points.length < 3) {
+      throw new Error('At least three data points are needed to estimate complexity');
+    }
+
+    const times = points.map(point => point.time);
+    const smallest = Math.min(...times);
+    const growth = Math.max(...times) - smallest;
+
+    const models = MODELS.slice(1)
+      .map(model => this.fitModel(model, points))
+      .filter(model => model);
+
+    let best;
+    if (growth < Math.max(MIN_GROWTH, smallest * CONSTANT_TOLERANCE) || models.length === 0) {
+      best = 'O(1)';
+    } else {
+      const top = Math.max(...models.map(model => model.r2));
+      best = models.find(model => model.r2 >= top - FIT_TOLERANCE).name;
+    }
+
+    const mean = times.reduce((sum, time) => sum + time, 0) / times.length;
+    return {
+      best,
+      models: [{ name: 'O(1)', r2: 0, a: mean, b: 0, log2b: -Infinity }, ...models]
+    };
+  }
+
+  fitModel(model, points) {
+    const logs = points.map(point => model.log2(point.n));
+    if (logs.some(log => Number.isNaN(log) || log === Infinity)) return null;
+
+    // Scale x to [0, 1] by working from the largest log2 f(n), so 2^n and n²
+    // stay numerically sane
+    const maxLog = Math.max(...logs);
+    if (maxLog === -Infinity) return null;
+    const scaled = logs.map(log => Math.pow(2, log - maxLog));
+    const ys = points.map(point => point.time);
+    const count = points.length;
+
+    const meanX = scaled.reduce((sum, x) => sum + x, 0) / count;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / count;
+    let covariance = 0;
+    let variance = 0;
+    for (let i = 0; i < count; i++) {
+      covariance += (scaled[i] - meanX) * (ys[i] - meanY);
+      variance += (scaled[i] - meanX) ** 2;
+    }
+    if (variance === 0) return null;
+
+    // Running time cannot shrink as inputs grow
+    const slope = Math.max(0, covariance / variance);
+    const intercept = meanY - slope * meanX;
+
+    let residual = 0;
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      residual += (ys[i] - (intercept + slope * scaled[i])) ** 2;
+      total += (ys[i] - meanY) ** 2;
+    }
+
+    // b itself underflows to 0 once f(n) passes the double range, so log2 b
+    // is returned as well for evaluating the curve
+    return {
+      name: model.name,
+      r2: total === 0 ? 0 : 1 - residual / total,
+      a: intercept,
+      b: slope * Math.pow(2, -maxLog),
+      log2b: Math.log2(slope) - maxLog
+    };
+  }
+
+  // Value of a fitted model at n, for plotting
+  evaluate(name, { a, log2b }, n) {
+    const model = MODELS.find(entry => entry.name === name);
+    return a + Math.pow(2, log2b + model.log2(n));
+  }
+}
+
+module.exports = ComplexityEstimator;
+module.exports.MODELS = MODELS.map(model => model.name);
@@ -0,0 +1,505 @@
+'use strict';
+
+// Prefixes the line carrying the JSON return value, so anything the solution
+// prints itself does not break the comparison
+const RESULT_MARKER = '@@RESULT@@';
+
+const TYPE_PATTERN = /^(int|long|double|boolean|string)((?:\[\])*)$/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const TYPE_NAMES = {
+  javascript: { int: 'number', long: 'number', double: 'number', boolean: 'boolean', string: 'string' },
+  python: { int: 'int', long: 'int', double: 'float', boolean: 'bool', string: 'str' },
+  java: { int: 'int', long: 'long', double: 'double', boolean: 'boolean', string: 'String' },
+  cpp: { int: 'int', long: 'long long', double: 'double', boolean: 'bool', string: 'string' }
+};
+
+const JAVA_PARSERS = {
+  int: 'Integer.parseInt(token())',
+  long: 'Long.parseLong(token())',
+  double: 'Double.parseDouble(token())',
+  boolean: 'Boolean.parseBoolean(token())',
+  string: 'readString()'
+};
+
+const HEADER = {
+  hash: `# Problem: {{PROBLEM_NAME}}
+# Difficulty: {{DIFFICULTY}}
+# Tags: {{TAGS}}`,
+  slash: `// Problem: {{PROBLEM_NAME}}
+// Difficulty: {{DIFFICULTY}}
+// Tags: {{TAGS}}`
+};
+
+// Generates solution stubs and per-language drivers for problems that are
+// solved by implementing a function rather than reading stdin. JavaScript and
+// Python drivers read the arguments as a JSON array; Java and C++ drivers read
+// a whitespace separated encoding where arrays and strings are prefixed with
+// their length.
+class FunctionDriver {
+  parseType(type) {
+    const match = String(type || '').replace(/\s+/g, '').match(TYPE_PATTERN);
+    if (!match) {
+      throw new Error(`Unsupported type: ${type}`);
+    }
+    return { base: match[1], dims: match[2].length / 2 };
+  }
+
+  formatType({ base, dims }) {
+    return base + '[]'.repeat(dims);
+  }
+
+  validateSignature(signature = {}) {
+    const { name, params = [], returnType } = signature;
+
+    if (!IDENTIFIER_PATTERN.test(name || '')) {
+      throw new Error('Function name must be a valid identifier');
+    }
+    if (!Array.isArray(params)) {
+      throw new Error('Function parameters must be a list');
+    }
+
+    const seen = new Set();
+    const validatedParams = params.map(param => {
+      if (!IDENTIFIER_PATTERN.test(param.name || '')) {
+        throw new Error(`Invalid parameter name: ${param.name}`);
+      }
+      if (seen.has(param.name)) {
+        throw new Error(`Duplicate parameter name: ${param.name}`);
+      }
+      seen.add(param.name);
+      return { name: param.name, type: this.formatType(this.parseType(param.type)) };
+    });
+
+    return {
+      name,
+      params: validatedParams,
+      returnType: this.formatType(this.parseType(returnType))
+    };
+  }
+
+  // Checks a JSON argument list against the signature
+  validateArgs(signature, args) {
+    if (!Array.isArray(args) || args.length !== signature.params.length) {
+      throw new Error(`Expected a JSON array of ${signature.params.length} arguments`);
+    }
+    signature.params.forEach((param, i) => {
+      if (!this.matchesType(this.parseType(param.type), args[i])) {
+        throw new Error(`Argument ${param.name} is not of type ${param.type}`);
+      }
+    });
+  }
+
+  matchesType({ base, dims }, value) {
+    if (dims > 0) {
+      return Array.isArray(value) && value.every(item => this.matchesType({ base, dims: dims - 1 }, item));
+    }
+    switch (base) {
+      case 'int':
+      case 'long':
+        return Number.isInteger(value);
+      case 'double':
+        return typeof value === 'number';
+      case 'boolean':
+        return typeof value === 'boolean';
+      default:
+        return typeof value === 'string';
+    }
+  }
+
+  typeName(language, type) {
+    const { base, dims } = this.parseType(type);
+    const name = TYPE_NAMES[language][base];
+
+    switch (language) {
+      case 'python':
+        return Array.from({ length: dims }).reduce(inner => `list[${inner}]`, name);
+      case 'cpp':
+        return Array.from({ length: dims }).reduce(inner => `vector<${inner}>`, name);
+      default:
+        return name + '[]'.repeat(dims);
+    }
+  }
+
+  generateStub(language, signature) {
+    const { name, params, returnType } = signature;
+
+    switch (language) {
+      case 'javascript':
+        return `${HEADER.slash}
+
+/**
+${params.map(param => ` * @param {${this.typeName(language, param.type)}} ${param.name}`).join('\n')}
+ * @return {${this.typeName(language, returnType)}}
+ */
+function ${name}(${params.map(param => param.name).join(', ')}) {
+  // Your solution here
+}
+
+module.exports = { ${name} };
+`;
+
+      case 'python':
+        return `${HEADER.hash}
+
+def ${name}(${params.map(param => `${param.name}: ${this.typeName(language, param.type)}`).join(', ')}) -> ${this.typeName(language, returnType)}:
+    # Your solution here
+    pass
+`;
+
+      case 'java':
+        return `${HEADER.slash}
+
+import java.util.*;
+
+class Solution {
+    public ${this.typeName(language, returnType)} ${name}(${params.map(param => `${this.typeName(language, param.type)} ${param.name}`).join(', ')}) {
+        // Your solution here
+        return ${this.defaultValue(language, returnType)};
+    }
+}
+`;
+
+      case 'cpp':
+        return `${HEADER.slash}
+
+class Solution {
+public:
+    ${this.typeName(language, returnType)} ${name}(${params.map(param => `${this.cppParamType(param.type)} ${param.name}`).join(', ')}) {
+        // Your solution here
+        return ${this.defaultValue(language, returnType)};
+    }
+};
+`;
+
+      default:
+        throw new Error(`Function mode is not supported for ${language}`);
+    }
+  }
+
+  defaultValue(language, type) {
+    const { base, dims } = this.parseType(type);
+    if (dims > 0 || base === 'string') {
+      return language === 'cpp' ? '{}' : 'null';
+    }
+    return base === 'boolean' ? 'false' : '0';
+  }
+
+  cppParamType(type) {
+    const { base, dims } = this.parseType(type);
+    const name = this.typeName('cpp', type);
+    return dims > 0 || base === 'string' ? `${name}&` : name;
+  }
+
+  encodeArgs(language, signature, args) {
+    this.validateArgs(signature, args);
+
+    if (language === 'javascript' || language === 'python') {
+      return JSON.stringify(args);
+    }
+
+    const tokens = [];
+    signature.params.forEach((param, i) => {
+      this.encodeValue(language, this.parseType(param.type), args[i], tokens);
+    });
+    return tokens.join(' ') + '\n';
+  }
+
+  encodeValue(language, { base, dims }, value, tokens) {
+    if (dims > 0) {
+      tokens.push(String(value.length));
+      value.forEach(item => this.encodeValue(language, { base, dims: dims - 1 }, item, tokens));
+    } else if (base === 'string') {
+      // C++ reads bytes, Java reads UTF-16 code units like JavaScript
+      const length = language === 'cpp' ? Buffer.byteLength(value) : value.length;
+      tokens.push(`${length} ${value}`);
+    } else {
+      tokens.push(String(value));
+    }
+  }
+
+  // Splits driver output into what the solution printed and the JSON result
+  parseResult(stdout) {
+    const index = stdout.lastIndexOf(RESULT_MARKER);
+    if (index === -1) {
+      return null;
+    }
+
+    const result = stdout.slice(index + RESULT_MARKER.length).split('\n')[0].trim();
+    return { result, output: stdout.slice(0, index).trim() };
+  }
+
+  // Returns { fileName, source } for the driver that calls the solution
+  generateDriver(language, signature, solutionFile) {
+    switch (language) {
+      case 'javascript':
+        return { fileName: 'driver.js', source: this.javascriptDriver(signature, solutionFile) };
+      case 'python':
+        return { fileName: 'driver.py', source: this.pythonDriver(signature, solutionFile) };
+      case 'java':
+        return { fileName: 'Main.java', source: this.javaDriver(signature) };
+      case 'cpp':
+        return { fileName: 'driver.cpp', source: this.cppDriver(signature, solutionFile) };
+      default:
+        throw new Error(`Function mode is not supported for ${language}`);
+    }
+  }
+
+  javascriptDriver({ name }, solutionFile) {
+    return `'use strict';
+
+const solution = require(${JSON.stringify(solutionFile)});
+const fn = typeof solution === 'function' ? solution : solution[${JSON.stringify(name)}];
+
+if (typeof fn !== 'function') {
+  console.error('Function ${name} is not exported from the solution');
+  process.exit(1);
+}
+
+const args = JSON.parse(require('fs').readFileSync(0, 'utf8'));
+Promise.resolve(fn(...args)).then((result) => {
+  process.stdout.write('\\n${RESULT_MARKER}' + JSON.stringify(result === undefined ? null : result) + '\\n');
+});
+`;
+  }
+
+  pythonDriver({ name }, solutionFile) {
+    return `import importlib.util
+import json
+import sys
+
+spec = importlib.util.spec_from_file_location('solution', ${JSON.stringify(solutionFile)})
+module = importlib.util.module_from_spec(spec)
+spec.loader.exec_module(module)
+
+fn = getattr(module, '${name}', None)
+if fn is None and hasattr(module, 'Solution'):
+    fn = getattr(module.Solution(), '${name}', None)
+if fn is None:
+    sys.exit('Function ${name} is not defined in the solution')
+
+args = json.loads(sys.stdin.read())
+result = fn(*args)
+sys.stdout.write('\\n${RESULT_MARKER}' + json.dumps(result) + '\\n')
+`;
+  }
+
+  javaDriver({ name, params }) {
+    const arrayTypes = new Map();
+    for (const param of params) {
+      const { base, dims } = this.parseType(param.type);
+      for (let d = 1; d <= dims; d++) {
+        arrayTypes.set(`${base}${d}`, { base, dims: d });
+      }
+    }
+
+    const readerName = ({ base, dims }) => `read${base[0].toUpperCase()}${base.slice(1)}${dims}`;
+    const readExpression = (type) => (type.dims === 0 ? JAVA_PARSERS[type.base] : `${readerName(type)}()`);
+
+    const readers = Array.from(arrayTypes.values()).map(type => {
+      const javaType = this.typeName('java', this.formatType(type));
+      const allocation = `new ${TYPE_NAMES.java[type.base]}[n]${'[]'.repeat(type.dims - 1)}`;
+      return `
+    private static ${javaType} ${readerName(type)}() {
+        int n = Integer.parseInt(token());
+        ${javaType} values = ${allocation};
+        for (int i = 0; i < n; i++) {
+            values[i] = ${readExpression({ base: type.base, dims: type.dims - 1 })};
+        }
+        return values;
+    }`;
+    }).join('\n');
+
+    const reads = params.map(param => {
+      const type = this.parseType(param.type);
+      return `        ${this.typeName('java', param.type)} ${param.name} = ${readExpression(type)};`;
+    }).join('\n');
+
+    return `import java.lang.reflect.Array;
+import java.nio.charset.StandardCharsets;
+import java.util.*;
+
+public class Main {
+    private static String data;
+    private static int pos = 0;
+
+    private static String token() {
+        while (pos < data.length() && Character.isWhitespace(data.charAt(pos))) pos++;
+        int start = pos;
+        while (pos < data.length() && !Character.isWhitespace(data.charAt(pos))) pos++;
+        return data.substring(start, pos);
+    }
+
+    private static String readString() {
+        int length = Integer.parseInt(token());
+        pos++;
+        String value = data.substring(pos, pos + length);
+        pos += length;
+        return value;
+    }
+${readers}
+
+    private static void quote(StringBuilder out, String value) {
+        out.append('"');
+        for (char c : value.toCharArray()) {
+            if (c == '"' || c == '\\\\') out.append('\\\\').append(c);
+            else if (c == '\\n') out.append("\\\\n");
+            else if (c < 0x20) out.append(String.format("\\\\u%04x", (int) c));
+            else out.append(c);
+        }
+        out.append('"');
+    }
+
+    private static void write(StringBuilder out, Object value) {
+        if (value == null) {
+            out.append("null");
+        } else if (value instanceof String || value instanceof Character) {
+            quote(out, value.toString());
+        } else if (value instanceof Number || value instanceof Boolean) {
+            out.append(value);
+        } else if (value.getClass().isArray()) {
+            out.append('[');
+            for (int i = 0; i < Array.getLength(value); i++) {
+                if (i > 0) out.append(',');
+                write(out, Array.get(value, i));
+            }
+            out.append(']');
+        } else if (value instanceof Iterable) {
+            out.append('[');
+            boolean first = true;
+            for (Object item : (Iterable<?>) value) {
+                if (!first) out.append(',');
+                write(out, item);
+                first = false;
+            }
+            out.append(']');
+        } else {
+            quote(out, value.toString());
+        }
+    }
+
+    public static void main(String[] args) throws Exception {
+        data = new String(System.in.readAllBytes(), StandardCharsets.UTF_8);
+${reads}
+        Object result = new Solution().${name}(${params.map(param => param.name).join(', ')});
+        StringBuilder out = new StringBuilder();
+        write(out, result);
+        System.out.println();
+        System.out.println("${RESULT_MARKER}" + out);
+    }
+}
+`;
+  }
+
+  cppDriver({ name, params }, solutionFile) {
+    const reads = params.map(param => {
+      return `    ${this.typeName('cpp', param.type)} ${param.name};\n    reader.read(${param.name});`;
+    }).join('\n');
+
+    return `#include <algorithm>
+#include <climits>
+#include <cmath>
+#include <cstdint>
+#include <deque>
+#include <functional>
+#include <iomanip>
+#include <iostream>
+#include <iterator>
+#include <map>
+#include <numeric>
+#include <queue>
+#include <set>
+#include <sstream>
+#include <stack>
+#include <string>
+#include <unordered_map>
+#include <unordered_set>
+#include <utility>
+#include <vector>
+using namespace std;
+
+#include ${JSON.stringify(solutionFile)}
+
+namespace driver {
+
+struct Reader {
+    std::string data;
+    size_t pos = 0;
+
+    std::string token() {
+        while (pos < data.size() && isspace(static_cast<unsigned char>(data[pos]))) pos++;
+        size_t start = pos;
+        while (pos < data.size() && !isspace(static_cast<unsigned char>(data[pos]))) pos++;
+        return data.substr(start, pos - start);
+    }
+
+    void read(int& value) { value = std::stoi(token()); }
+    void read(long long& value) { value = std::stoll(token()); }
+    void read(double& value) { value = std::stod(token()); }
+    void read(bool& value) { value = token() == "true"; }
+
+    void read(std::string& value) {
+        size_t length = std::stoul(token());
+        pos++;
+        value = data.substr(pos, length);
+        pos += length;
+    }
+
+    template <typename T>
+    void read(std::vector<T>& values) {
+        size_t n = std::stoul(token());
+        values.resize(n);
+        for (size_t i = 0; i < n; i++) {
+            T value;
+            read(value);
+            values[i] = value;
+        }
+    }
+};
+
+void writeJson(std::ostream& out, int value) { out << value; }
+void writeJson(std::ostream& out, long value) { out << value; }
+void writeJson(std::ostream& out, long long value) { out << value; }
+void writeJson(std::ostream& out, double value) { out << std::setprecision(17) << value; }
+void writeJson(std::ostream& out, bool value) { out << (value ? "true" : "false"); }
+
+void writeJson(std::ostream& out, const std::string& value) {
+    out << '"';
+    for (unsigned char c : value) {
+        if (c == '"' || c == '\\\\') out << '\\\\' << c;
+        else if (c == '\\n') out << "\\\\n";
+        else if (c < 0x20) out << "\\\\u" << std::hex << std::setw(4) << std::setfill('0') << static_cast<int>(c) << std::dec;
+        else out << c;
+    }
+    out << '"';
+}
+
+template <typename T>
+void writeJson(std::ostream& out, const std::vector<T>& values) {
+    out << '[';
+    for (size_t i = 0; i < values.size(); i++) {
+        if (i > 0) out << ',';
+        writeJson(out, static_cast<T>(values[i]));
+    }
+    out << ']';
+}
+
+}  // namespace driver
+
+int main() {
+    driver::Reader reader;
+    reader.data.assign(std::istreambuf_iterator<char>(std::cin), std::istreambuf_iterator<char>());
+${reads}
+    Solution solution;
+    auto result = solution.${name}(${params.map(param => param.name).join(', ')});
+    std::cout << "\\n${RESULT_MARKER}";
+    driver::writeJson(std::cout, result);
+    std::cout << std::endl;
+    return 0;
+}
+`;
+  }
+}
+
+module.exports = FunctionDriver;
+module.exports.RESULT_MARKER = RESULT_MARKER;
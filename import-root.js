@@ -0,0 +1,44 @@
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_IMPORT_DIR = process.env.IMPORT_ROOT || path.join(__dirname, '..', 'imports');
+
+// Directory imports name a folder from the client, so they may only read
+// below one import directory rather than anywhere the server can see
+class ImportRoot {
+  constructor(importDir = DEFAULT_IMPORT_DIR) {
+    this.importDir = importDir;
+  }
+
+  // Relative names are taken from the import directory. Symlinks are followed
+  // before the check so a link cannot point the import elsewhere.
+  async resolve(sourceDir) {
+    if (typeof sourceDir !== 'string' || !sourceDir.trim()) {
+      throw new Error('A directory is required');
+    }
+
+    let root;
+    try {
+      root = await fs.realpath(this.importDir);
+    } catch (err) {
+      throw new Error(`Directory import is disabled: ${this.importDir} does not exist`);
+    }
+
+    let resolved;
+    try {
+      resolved = await fs.realpath(path.resolve(root, sourceDir));
+    } catch (err) {
+      throw new Error(`Directory not found: ${sourceDir}`);
+    }
+
+    const relative = path.relative(root, resolved);
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      throw new Error(`Directory must be inside ${this.importDir}`);
+    }
+    return resolved;
+  }
+}
+
+module.exports = ImportRoot;
@@ -11,12 +11,14 @@ const ProblemWorkspace = require('./problem-workspace');
 const TestHarness = require('./test-harness');
 const AlgorithmCribsheet = require('./algorithm-cribsheet');
 const PracticeTracker = require('./practice-tracker');
+const JobQueue = require('./job-queue');
 
 const PORT = process.env.PORT || 3000;
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+// Test cases can carry inputs of several megabytes
+app.use(express.json({ limit: '50mb' }));
 
 const publicDir = path.join(__dirname, '..', 'public');
 app.use(express.static(publicDir));
@@ -26,11 +28,14 @@ const problemWorkspace = new ProblemWorkspace();
 const testHarness = new TestHarness();
 const algorithmCribsheet = new AlgorithmCribsheet();
 const practiceTracker = new PracticeTracker();
+const jobQueue = new JobQueue(testHarness);
 
 // Initialize modules
 (async () => {
   try {
     await problemWorkspace.init();
+    await testHarness.init();
+    await jobQueue.init();
     await algorithmCribsheet.init();
     await practiceTracker.init();
     console.log('All modules initialized successfully');
@@ -48,6 +53,17 @@ app.get('/api/buses', (req, res) => {
 });
 
 // Problem Workspace API
+
+// Every :id names a directory inside the workspace, so it is checked once here
+app.use('/api/problems/:id', (req, res, next) => {
+  try {
+    problemWorkspace.problemIds.validate(req.params.id);
+    next();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 app.post('/api/problems', async (req, res) => {
   try {
     const result = await problemWorkspace.createProblem(req.body);
@@ -57,9 +73,31 @@ app.post('/api/problems', async (req, res) => {
   }
 });
 
+// Send a Kattis or Polygon package, or an exported problem, as a zip body,
+// or JSON { directory } naming an unpacked package inside the import directory
+app.post('/api/problems/import', express.raw({ type: 'application/zip', limit: '500mb' }), async (req, res) => {
+  try {
+    const result = Buffer.isBuffer(req.body)
+      ? await problemWorkspace.importPackage(req.body, { language: req.query.language })
+      : await problemWorkspace.importPackage(req.body.directory, { language: req.body.language });
+    res.json(result);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/languages', async (req, res) => {
+  try {
+    const languages = await testHarness.getLanguages();
+    res.json({ languages });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.get('/api/problems', async (req, res) => {
   try {
-    const problems = await problemWorkspace.getProblems();
+    const problems = await problemWorkspace.getProblems({ archived: req.query.archived === 'true' });
     res.json({ problems });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -85,28 +123,408 @@ app.patch('/api/problems/:id/status', async (req, res) => {
   }
 });
 
+app.get('/api/problems/:id/export', async (req, res) => {
+  try {
+    const { fileName, buffer } = await problemWorkspace.exportProblem(req.params.id);
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buffer);
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+app.patch('/api/problems/:id/archived', async (req, res) => {
+  try {
+    const problem = await problemWorkspace.setArchived(req.params.id, req.body.archived);
+    res.json(problem);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/problems/:id/rename', async (req, res) => {
+  try {
+    const { previousId, metadata } = await problemWorkspace.renameProblem(req.params.id, req.body.name);
+    const sessionsUpdated = await practiceTracker.renameProblem(previousId, metadata.id, metadata.name);
+    res.json({ problem: metadata, sessionsUpdated });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/problems/:id', async (req, res) => {
+  try {
+    const result = await problemWorkspace.deleteProblem(req.params.id, {
+      permanent: req.query.permanent === 'true'
+    });
+    res.json(result);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/trash', async (req, res) => {
+  try {
+    const problems = await problemWorkspace.listTrash();
+    res.json({ problems });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/trash/:trashId/restore', async (req, res) => {
+  try {
+    const problem = await problemWorkspace.restoreProblem(req.params.trashId);
+    res.json(problem);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/trash/:trashId', async (req, res) => {
+  try {
+    await problemWorkspace.purgeTrash(req.params.trashId);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+app.patch('/api/problems/:id/limits', async (req, res) => {
+  try {
+    const { timeLimit, memoryLimit, outputLimit } = req.body;
+    const problem = await problemWorkspace.updateProblemLimits(req.params.id, { timeLimit, memoryLimit, outputLimit });
+    res.json(problem);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.patch('/api/problems/:id/checker', async (req, res) => {
+  try {
+    const problem = await problemWorkspace.updateProblemChecker(req.params.id, req.body);
+    res.json(problem);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.patch('/api/problems/:id/interactor', async (req, res) => {
+  try {
+    const { program, queryLimit } = req.body;
+    const problem = await problemWorkspace.updateProblemInteractor(req.params.id, { program, queryLimit });
+    res.json(problem);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put('/api/problems/:id/subtasks', async (req, res) => {
+  try {
+    const problem = await problemWorkspace.updateProblemSubtasks(req.params.id, req.body.subtasks);
+    res.json(problem);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // Test Harness API
+// Sockets watching a job's progress, by job id
+const jobSockets = new Map();
+
+jobQueue.on('progress', (job, event) => {
+  const socketId = jobSockets.get(job.id);
+  if (!socketId) return;
+  if (event.type === 'start') {
+    io.to(socketId).emit('test:start', { jobId: job.id, index: event.index, total: event.total, testName: event.testName });
+  } else {
+    io.to(socketId).emit('test:finish', { jobId: job.id, index: event.index, total: event.total, test: testHarness.buildTestDetail(event.test) });
+  }
+});
+
+jobQueue.on('finish', (job) => {
+  const socketId = jobSockets.get(job.id);
+  jobSockets.delete(job.id);
+  if (socketId) {
+    io.to(socketId).emit('test:complete', { jobId: job.id, status: job.status, summary: job.summary, error: job.error });
+  }
+});
+
+// Queues the run and answers with the job; poll /api/jobs/:jobId or pass
+// `socketId` to receive test:start, test:finish and test:complete events
 app.post('/api/problems/:id/test', async (req, res) => {
   try {
-    const { language = 'javascript' } = req.body;
-    const results = await testHarness.runTests(req.params.id, language);
-    const report = testHarness.generateDiffReport(results);
+    const { language = 'javascript', concurrency, repeat, socketId = null } = req.body;
+    const job = await jobQueue.enqueue(req.params.id, language, { concurrency, repeat });
+    if (socketId) jobSockets.set(job.id, socketId);
+    res.status(202).json(job);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/problems/:id/scratch', async (req, res) => {
+  try {
+    const { language = 'javascript', input = '' } = req.body;
+    const result = await testHarness.scratchRun(req.params.id, language, input);
+    res.json(result);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/jobs', (req, res) => {
+  // Anything but a positive whole number falls back to the default
+  const limit = Number(req.query.limit);
+  res.json(jobQueue.listJobs({ problemId: req.query.problemId, limit: Number.isInteger(limit) && limit > 0 ? limit : undefined }));
+});
+
+app.get('/api/jobs/:jobId', (req, res) => {
+  try {
+    res.json(jobQueue.getJob(req.params.jobId));
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+app.get('/api/jobs/:jobId/report', async (req, res) => {
+  try {
+    const report = await jobQueue.getReport(req.params.jobId);
     res.json(report);
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+app.post('/api/jobs/:jobId/cancel', async (req, res) => {
+  try {
+    const job = await jobQueue.cancel(req.params.jobId);
+    res.json(job);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+app.get('/api/problems/:id/solutions', async (req, res) => {
+  try {
+    const solutions = await problemWorkspace.listSolutions(req.params.id);
+    res.json({ solutions });
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+app.post('/api/problems/:id/solutions', async (req, res) => {
+  try {
+    const solution = await problemWorkspace.addSolution(req.params.id, req.body.language);
+    res.json(solution);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Queues a job testing every language the problem has a solution in, unless
+// `languages` narrows it down; it reports and streams like /test
+app.post('/api/problems/:id/solutions/test', async (req, res) => {
+  try {
+    const { languages, concurrency, repeat, socketId = null } = req.body;
+    const selected = languages || (await problemWorkspace.listSolutions(req.params.id)).map(solution => solution.language);
+    const job = await jobQueue.enqueueComparison(req.params.id, selected, { concurrency, repeat });
+    if (socketId) jobSockets.set(job.id, socketId);
+    res.status(202).json(job);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/problems/:id/solution', async (req, res) => {
+  try {
+    const solution = await testHarness.getSolution(req.params.id, req.query.language || 'javascript');
+    res.json(solution);
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+app.put('/api/problems/:id/solution', async (req, res) => {
+  try {
+    const { language = 'javascript', source } = req.body;
+    const solution = await testHarness.saveSolution(req.params.id, language, source);
+    res.json(solution);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/problems/:id/snapshots', async (req, res) => {
+  try {
+    const snapshots = await testHarness.listSnapshots(req.params.id, req.query.language);
+    res.json(snapshots);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/problems/:id/snapshots/compare', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const comparison = await testHarness.compareSnapshots(req.params.id, from, to);
+    res.json(comparison);
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+app.get('/api/problems/:id/snapshots/:snapshotId', async (req, res) => {
+  try {
+    const snapshot = await testHarness.getSnapshot(req.params.id, req.params.snapshotId);
+    res.json(snapshot);
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+app.post('/api/problems/:id/snapshots/:snapshotId/restore', async (req, res) => {
+  try {
+    const solution = await testHarness.restoreSnapshot(req.params.id, req.params.snapshotId);
+    res.json(solution);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/problems/:id/runs', async (req, res) => {
+  try {
+    // Anything but a positive whole number falls back to the default
+    const limit = Number(req.query.limit);
+    const runs = await testHarness.listRuns(req.params.id, Number.isInteger(limit) && limit > 0 ? limit : undefined);
+    res.json(runs);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/problems/:id/runs/compare', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const comparison = await testHarness.compareRuns(req.params.id, from, to);
+    res.json(comparison);
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+app.get('/api/problems/:id/runs/:runId', async (req, res) => {
+  try {
+    const run = await testHarness.getRun(req.params.id, req.params.runId);
+    res.json(run);
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+app.post('/api/problems/:id/stress', async (req, res) => {
+  try {
+    const { language = 'javascript', iterations, seed } = req.body;
+    const result = await testHarness.stressTest(req.params.id, { language, iterations, seed });
+    res.json(result);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/problems/:id/complexity', async (req, res) => {
+  try {
+    const { language = 'javascript', sizes, repeats } = req.body;
+    const result = await testHarness.estimateComplexity(req.params.id, { language, sizes, repeats });
+    res.json(result);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/problems/:id/minimize', async (req, res) => {
+  try {
+    const { testName, language = 'javascript', maxRuns } = req.body;
+    const result = await testHarness.minimizeTestCase(req.params.id, testName, { language, maxRuns });
+    res.json(result);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/problems/:id/test-cases', async (req, res) => {
+  try {
+    const testCases = await testHarness.getTestCases(req.params.id);
+    res.json(testCases);
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
 app.post('/api/problems/:id/test-cases', async (req, res) => {
   try {
-    const { input, expected } = req.body;
-    const testCases = await testHarness.addTestCase(req.params.id, input, expected);
+    const { input, expected, label, note, sample, hidden, group } = req.body;
+    const testCase = await testHarness.addTestCase(req.params.id, input, expected, { label, note, sample, hidden, group });
+    res.json(testCase);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Send a zip archive as the request body, or JSON { directory } naming a folder
+// inside the import directory (IMPORT_ROOT)
+app.post('/api/problems/:id/test-cases/import', express.raw({ type: 'application/zip', limit: '200mb' }), async (req, res) => {
+  try {
+    const result = Buffer.isBuffer(req.body)
+      ? await testHarness.importTestCasesFromZip(req.params.id, req.body)
+      : await testHarness.importTestCasesFromDirectory(req.params.id, req.body.directory);
+    res.json(result);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put('/api/problems/:id/test-cases/order', async (req, res) => {
+  try {
+    const testCases = await testHarness.reorderTestCases(req.params.id, req.body.ids);
     res.json(testCases);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+app.patch('/api/problems/:id/test-cases/:caseId', async (req, res) => {
+  try {
+    const { input, expected, label, note, sample, hidden, group } = req.body;
+    const testCase = await testHarness.updateTestCase(req.params.id, req.params.caseId, {
+      input, expected, label, note, sample, hidden, group
+    });
+    res.json(testCase);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/problems/:id/test-cases/:caseId', async (req, res) => {
+  try {
+    const testCase = await testHarness.deleteTestCase(req.params.id, req.params.caseId);
+    res.json(testCase);
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+app.post('/api/problems/:id/test-cases/:caseId/duplicate', async (req, res) => {
+  try {
+    const testCase = await testHarness.duplicateTestCase(req.params.id, req.params.caseId);
+    res.json(testCase);
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
 // Algorithm Cribsheet API
 app.get('/api/algorithms', async (req, res) => {
   try {
@@ -268,6 +686,18 @@ io.on('connection', (socket) => {
       io.emit('bus:remove', busId);
     }
   });
+
+  socket.on('test:cancel', (jobId) => {
+    if (jobSockets.get(jobId) !== socket.id) return;
+    jobQueue.cancel(jobId).catch(() => {});
+  });
+
+  // Jobs keep running; their results wait in the queue for the next poll
+  socket.on('disconnect', () => {
+    for (const [jobId, socketId] of jobSockets) {
+      if (socketId === socket.id) jobSockets.delete(jobId);
+    }
+  });
 });
 
 server.listen(PORT, () => {
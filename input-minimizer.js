@@ -0,0 +1,155 @@
+'use strict';
+
+const DEFAULT_MAX_RUNS = 300;
+const DEFAULT_TIMEOUT = 60000; // ms
+
+class InputMinimizer {
+  // Shrinks `input` while `stillFails(candidate)` resolves true. Whole lines
+  // are removed first, then tokens within each line; a line holding only an
+  // element count is kept in sync when elements of the next line go away.
+  async minimize(input, stillFails, options = {}) {
+    const check = this.createCheck(stillFails, options);
+
+    const trailingNewline = input.endsWith('\n');
+    const join = (lines) => lines.join('\n') + (trailingNewline && lines.length > 0 ? '\n' : '');
+    let lines = (trailingNewline ? input.slice(0, -1) : input).split('\n');
+    let size;
+
+    do {
+      size = join(lines).length;
+      lines = await this.reduceUnits(lines, join, check);
+      lines = await this.reduceTokens(lines, join, check);
+    } while (join(lines).length < size && !check.exhausted());
+
+    return { input: join(lines), runs: check.runs };
+  }
+
+  // Function-mode inputs are JSON argument lists, which line and token
+  // removal would break. The number of arguments stays; arrays lose
+  // elements and strings lose characters, outermost first, so every
+  // candidate is still JSON of the same shape.
+  async minimizeJson(input, stillFails, options = {}) {
+    let args;
+    try {
+      args = JSON.parse(input);
+    } catch (err) {
+      throw new Error(`Input is not valid JSON: ${err.message}`);
+    }
+    if (!Array.isArray(args)) {
+      throw new Error('Input must be a JSON array of arguments');
+    }
+
+    const check = this.createCheck(stillFails, options);
+    let size;
+
+    do {
+      size = JSON.stringify(args).length;
+      for (let i = 0; i < args.length; i++) {
+        args = await this.reduceValue(args, [i], check);
+      }
+    } while (JSON.stringify(args).length < size && !check.exhausted());
+
+    return { input: JSON.stringify(args), runs: check.runs };
+  }
+
+  // `check(candidate)` runs each distinct candidate once, within the run
+  // and time budget, and counts the runs in `check.runs`
+  createCheck(stillFails, { maxRuns = DEFAULT_MAX_RUNS, timeout = DEFAULT_TIMEOUT } = {}) {
+    const startedAt = Date.now();
+    const seen = new Map();
+
+    const check = async (candidate) => {
+      if (seen.has(candidate)) return seen.get(candidate);
+      if (check.exhausted()) return false;
+      check.runs++;
+      const fails = await stillFails(candidate);
+      seen.set(candidate, fails);
+      return fails;
+    };
+    check.runs = 0;
+    check.exhausted = () => check.runs >= maxRuns || Date.now() - startedAt >= timeout;
+
+    return check;
+  }
+
+  // Removes chunks of decreasing size, keeping every removal that still fails
+  async reduceUnits(units, build, check) {
+    let chunk = Math.max(1, Math.floor(units.length / 2));
+
+    while (chunk >= 1 && units.length > 0) {
+      let i = 0;
+
+      while (i < units.length) {
+        const candidate = units.slice(0, i).concat(units.slice(i + chunk));
+        if (await check(build(candidate))) {
+          units = candidate;
+        } else {
+          i += chunk;
+        }
+      }
+
+      chunk = Math.floor(chunk / 2);
+    }
+
+    return units;
+  }
+
+  // Shrinks the value at `path` inside `root`, then the values inside it
+  async reduceValue(root, path, check) {
+    const value = path.reduce((parent, key) => parent[key], root);
+    const build = (candidate) => JSON.stringify(this.replaceAt(root, path, candidate));
+
+    if (Array.isArray(value)) {
+      const reduced = await this.reduceUnits(value, build, check);
+      root = this.replaceAt(root, path, reduced);
+      for (let i = 0; i < reduced.length; i++) {
+        root = await this.reduceValue(root, [...path, i], check);
+      }
+    } else if (typeof value === 'string') {
+      const reduced = await this.reduceUnits([...value], (chars) => build(chars.join('')), check);
+      root = this.replaceAt(root, path, reduced.join(''));
+    } else if (value !== null && typeof value === 'object') {
+      // Keys are part of the argument's type, so only their values shrink
+      for (const key of Object.keys(value)) {
+        root = await this.reduceValue(root, [...path, key], check);
+      }
+    }
+
+    return root;
+  }
+
+  // Copy of `root` with the value at `path` replaced
+  replaceAt(root, path, value) {
+    if (path.length === 0) return value;
+    const [key, ...rest] = path;
+    const copy = Array.isArray(root) ? root.slice() : { ...root };
+    copy[key] = this.replaceAt(root[key], rest, value);
+    return copy;
+  }
+
+  async reduceTokens(lines, join, check) {
+    for (let i = 0; i < lines.length; i++) {
+      const tokens = lines[i].trim().split(/\s+/).filter(token => token);
+      if (tokens.length < 2) continue;
+
+      const countLine = i > 0 && lines[i - 1].trim() === String(tokens.length) ? i - 1 : -1;
+      const build = (candidate) => {
+        const next = lines.slice();
+        next[i] = candidate.join(' ');
+        if (countLine !== -1) next[countLine] = String(candidate.length);
+        return join(next);
+      };
+
+      const reduced = await this.reduceUnits(tokens, build, check);
+      if (reduced.length < tokens.length) {
+        lines = lines.slice();
+        lines[i] = reduced.join(' ');
+        if (countLine !== -1) lines[countLine] = String(reduced.length);
+      }
+    }
+
+    return lines;
+  }
+}
+
+module.exports = InputMinimizer;
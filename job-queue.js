@@ -0,0 +1,233 @@
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const WorkerPool = require('./worker-pool');
+
+// Jobs running at once; each one already spreads its tests over the harness pool
+const MAX_ACTIVE_JOBS = Number(process.env.JOB_CONCURRENCY) || 2;
+
+// Finished jobs beyond this are dropped, oldest first, along with their reports
+const MAX_JOBS = 200;
+const DEFAULT_LIST_LIMIT = 50;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Queues test runs as jobs and keeps them in data/jobs.json, with each
+// finished report in data/jobs/<id>.json, so results outlive the request
+// and the server. A job either tests one language or compares several
+// (`type` 'compare'). Emits 'progress' (job, event) for every test that
+// starts or finishes and 'finish' (job) once a job is done.
+class JobQueue extends EventEmitter {
+  constructor(testHarness) {
+    super();
+    this.testHarness = testHarness;
+    this.dataDir = path.join(__dirname, '..', 'data');
+    this.jobs = new Map();
+    this.controllers = new Map();
+    this.pool = new WorkerPool(MAX_ACTIVE_JOBS);
+    // Saves are chained so a slow write never lands after a newer one
+    this.saving = Promise.resolve();
+  }
+
+  // Jobs that were queued or running when the server stopped start over
+  async init() {
+    await fs.mkdir(this.getReportsDir(), { recursive: true });
+
+    let jobs = [];
+    try {
+      jobs = JSON.parse(await fs.readFile(this.getJobsPath(), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw new Error(`Failed to read jobs: ${err.message}`);
+    }
+
+    for (const job of jobs) {
+      this.jobs.set(job.id, job);
+    }
+
+    const unfinished = jobs.filter(job => !FINISHED_STATUSES.includes(job.status));
+    for (const job of unfinished) {
+      Object.assign(job, { status: 'queued', startedAt: null, progress: { finished: 0, total: null } });
+      this.schedule(job);
+    }
+    if (unfinished.length > 0) await this.save();
+  }
+
+  async enqueue(problemId, language, options = {}) {
+    // Unknown languages are turned away before they take a place in the queue
+    this.testHarness.languages.get(language);
+    return this.add({ type: 'test', problemId, language, options });
+  }
+
+  // Runs the tests against each language in turn; the report is the
+  // side-by-side comparison
+  async enqueueComparison(problemId, languages, options = {}) {
+    if (!Array.isArray(languages) || languages.length === 0) {
+      throw new Error('Choose at least one language to test');
+    }
+    languages.forEach(language => this.testHarness.languages.get(language));
+    return this.add({ type: 'compare', problemId, language: null, languages, options });
+  }
+
+  async add(fields) {
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      ...fields,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: { finished: 0, total: null },
+      summary: null,
+      verdict: null,
+      runId: null,
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.prune();
+    await this.save();
+    this.schedule(job);
+    return job;
+  }
+
+  schedule(job) {
+    this.pool.run(() => this.runJob(job)).catch(() => {});
+  }
+
+  async runJob(job) {
+    // Cancelled while it waited
+    if (job.status !== 'queued') return;
+
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      await this.save();
+      const options = {
+        ...job.options,
+        signal: controller.signal,
+        onProgress: (event) => {
+          job.progress.total = event.total;
+          if (event.type === 'finish') job.progress.finished++;
+          this.emit('progress', job, event);
+        }
+      };
+
+      // Jobs saved before comparisons existed have no type
+      const report = job.type === 'compare'
+        ? await this.testHarness.compareLanguages(job.problemId, job.languages, options)
+        : this.testHarness.generateDiffReport(await this.testHarness.runTests(job.problemId, job.language, options));
+      await fs.writeFile(this.getReportPath(job.id), JSON.stringify(report));
+
+      job.status = report.cancelled ? 'cancelled' : 'completed';
+      job.summary = report.summary || null;
+      job.verdict = report.verdict || null;
+      job.runId = report.runId || null;
+    } catch (err) {
+      job.status = 'failed';
+      job.error = err.message;
+    } finally {
+      this.controllers.delete(job.id);
+      job.finishedAt = new Date().toISOString();
+      await this.save();
+      this.emit('finish', job);
+    }
+  }
+
+  // Queued jobs are dropped at once; running ones stop after their current
+  // tests and keep a partial report
+  async cancel(jobId) {
+    const job = this.getJob(jobId);
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new Error(`Job ${jobId} has already finished`);
+    }
+
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      await this.save();
+      this.emit('finish', job);
+    } else {
+      this.controllers.get(jobId).abort();
+    }
+
+    return job;
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+    return job;
+  }
+
+  async getReport(jobId) {
+    const job = this.getJob(jobId);
+    if (job.status === 'failed') {
+      throw new Error(`Job ${jobId} failed: ${job.error}`);
+    }
+    if (!FINISHED_STATUSES.includes(job.status)) {
+      throw new Error(`Job ${jobId} has not finished yet`);
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.getReportPath(jobId), 'utf8'));
+    } catch (err) {
+      // Jobs cancelled before they started have no report
+      throw new Error(`No report for job ${jobId}`);
+    }
+  }
+
+  // Newest first, optionally for one problem
+  listJobs({ problemId = null, limit = DEFAULT_LIST_LIMIT } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => !problemId || job.problemId === problemId)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  // Forgets the oldest finished jobs beyond MAX_JOBS
+  prune() {
+    const finished = [...this.jobs.values()].filter(job => FINISHED_STATUSES.includes(job.status));
+    const excess = this.jobs.size - MAX_JOBS;
+    for (const job of finished.slice(0, Math.max(0, excess))) {
+      this.jobs.delete(job.id);
+      fs.rm(this.getReportPath(job.id), { force: true }).catch(() => {});
+    }
+  }
+
+  async save() {
+    const write = this.saving.then(() => fs.writeFile(
+      this.getJobsPath(),
+      JSON.stringify([...this.jobs.values()], null, 2)
+    ));
+    this.saving = write.catch(() => {});
+
+    try {
+      await write;
+    } catch (err) {
+      throw new Error(`Failed to save jobs: ${err.message}`);
+    }
+  }
+
+  getJobsPath() {
+    return path.join(this.dataDir, 'jobs.json');
+  }
+
+  getReportsDir() {
+    return path.join(this.dataDir, 'jobs');
+  }
+
+  getReportPath(jobId) {
+    return path.join(this.getReportsDir(), `${jobId}.json`);
+  }
+}
+
+module.exports = JobQueue;
+module.exports.FINISHED_STATUSES = FINISHED_STATUSES;
@@ -0,0 +1,433 @@
+'use strict';
+
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Extra languages, or overrides of the built-in ones, keyed by language id
+const DEFAULT_CONFIG_PATH = process.env.LANGUAGES_CONFIG || path.join(__dirname, '..', 'data', 'languages.json');
+
+const VERSION_PROBE_TIMEOUT = 10000; // ms
+
+const ID_PATTERN = /^[a-z][\w+-]*$/;
+
+// Commands are argument lists with placeholders:
+//   {file}      the program to run, either the source or its function driver
+//   {source}    the source files handed to the compiler
+//   {buildDir}  the build directory of this source
+//   {artifact}  the compiled output, `artifact` resolved inside {buildDir}
+//   {stem}      the source file name without its extension
+//   {className} the class javac produced, for `publicClass` languages
+// `publicClass` languages get their source copied to a file named after its
+// public class, as javac insists.
+const BUILTIN_LANGUAGES = {
+  javascript: {
+    name: 'JavaScript',
+    extension: 'js',
+    run: ['node', '{file}'],
+    versionCommand: ['node', '--version'],
+    template: `// Problem: {{PROBLEM_NAME}}
+// Difficulty: {{DIFFICULTY}}
+// Tags: {{TAGS}}
+
+function solve(input) {
+  // Your solution here
+  return input;
+}
+
+// For competitive programming
+const readline = require('readline');
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout
+});
+
+let input = [];
+rl.on('line', (line) => {
+  input.push(line);
+}).on('close', () => {
+  console.log(solve(input));
+});`
+  },
+
+  typescript: {
+    name: 'TypeScript',
+    extension: 'ts',
+    compile: ['tsc', '--outDir', '{buildDir}', '--target', 'es2020', '--module', 'commonjs', '--strict', '--skipLibCheck', '--types', 'node', '{source}'],
+    artifact: '{stem}.js',
+    run: ['node', '{artifact}'],
+    versionCommand: ['tsc', '--version'],
+    template: `// Problem: {{PROBLEM_NAME}}
+// Difficulty: {{DIFFICULTY}}
+// Tags: {{TAGS}}
+
+function solve(input: string): string {
+  // Your solution here
+  return input;
+}
+
+// For competitive programming
+const input: string = require('fs').readFileSync(0, 'utf8').trim();
+console.log(solve(input));`
+  },
+
+  python: {
+    name: 'Python',
+    extension: 'py',
+    run: ['python', '{file}'],
+    versionCommand: ['python', '--version'],
+    template: `# Problem: {{PROBLEM_NAME}}
+# Difficulty: {{DIFFICULTY}}
+# Tags: {{TAGS}}
+
+def solve(input_data):
+    # Your solution here
+    return input_data
+
+# For competitive programming
+import sys
+input = sys.stdin.read().strip()
+print(solve(input))`
+  },
+
+  java: {
+    name: 'Java',
+    extension: 'java',
+    publicClass: true,
+    compile: ['javac', '-d', '{buildDir}', '{source}'],
+    artifact: '{className}.class',
+    run: ['java', '-cp', '{buildDir}', '{className}'],
+    versionCommand: ['javac', '-version'],
+    template: `// Problem: {{PROBLEM_NAME}}
+// Difficulty: {{DIFFICULTY}}
+// Tags: {{TAGS}}
+
+import java.util.*;
+import java.io.*;
+
+public class Solution {
+    public static String solve(String input) {
+        // Your solution here
+        return input;
+    }
+
+    public static void main(String[] args) throws IOException {
+        BufferedReader br = new BufferedReader(new InputStreamReader(System.in));
+        String input = br.readLine();
+        System.out.println(solve(input));
+    }
+}`
+  },
+
+  kotlin: {
+    name: 'Kotlin',
+    extension: 'kt',
+    compile: ['kotlinc', '{source}', '-include-runtime', '-d', '{artifact}'],
+    artifact: '{stem}.jar',
+    run: ['java', '-jar', '{artifact}'],
+    versionCommand: ['kotlinc', '-version'],
+    template: `// Problem: {{PROBLEM_NAME}}
+// Difficulty: {{DIFFICULTY}}
+// Tags: {{TAGS}}
+
+fun solve(input: String): String {
+    // Your solution here
+    return input
+}
+
+fun main() {
+    val input = readLine() ?: ""
+    println(solve(input))
+}`
+  },
+
+  cpp: {
+    name: 'C++',
+    extension: 'cpp',
+    compile: ['g++', '-std=c++17', '-O2', '-o', '{artifact}', '{source}'],
+    artifact: '{stem}',
+    run: ['{artifact}'],
+    versionCommand: ['g++', '--version'],
+    template: `// Problem: {{PROBLEM_NAME}}
+// Difficulty: {{DIFFICULTY}}
+// Tags: {{TAGS}}
+
+#include <iostream>
+#include <string>
+using namespace std;
+
+string solve(string input) {
+    // Your solution here
+    return input;
+}
+
+int main() {
+    string input;
+    getline(cin, input);
+    cout << solve(input) << endl;
+    return 0;
+}`
+  },
+
+  c: {
+    name: 'C',
+    extension: 'c',
+    compile: ['gcc', '-std=c11', '-O2', '-o', '{artifact}', '{source}', '-lm'],
+    artifact: '{stem}',
+    run: ['{artifact}'],
+    versionCommand: ['gcc', '--version'],
+    template: `// Problem: {{PROBLEM_NAME}}
+// Difficulty: {{DIFFICULTY}}
+// Tags: {{TAGS}}
+
+#include <stdio.h>
+#include <string.h>
+
+static char input[1 << 20];
+
+void solve(char *input) {
+    // Your solution here
+    printf("%s\\n", input);
+}
+
+int main(void) {
+    if (!fgets(input, sizeof input, stdin)) return 0;
+    input[strcspn(input, "\\n")] = '\\0';
+    solve(input);
+    return 0;
+}`
+  },
+
+  go: {
+    name: 'Go',
+    extension: 'go',
+    compile: ['go', 'build', '-o', '{artifact}', '{source}'],
+    artifact: '{stem}',
+    run: ['{artifact}'],
+    versionCommand: ['go', 'version'],
+    template: `// Problem: {{PROBLEM_NAME}}
+// Difficulty: {{DIFFICULTY}}
+// Tags: {{TAGS}}
+
+package main
+
+import (
+	"bufio"
+	"fmt"
+	"os"
+	"strings"
+)
+
+func solve(input string) string {
+	// Your solution here
+	return input
+}
+
+func main() {
+	reader := bufio.NewReader(os.Stdin)
+	input, _ := reader.ReadString('\\n')
+	fmt.Println(solve(strings.TrimSpace(input)))
+}`
+  },
+
+  rust: {
+    name: 'Rust',
+    extension: 'rs',
+    compile: ['rustc', '-O', '--edition', '2021', '-o', '{artifact}', '{source}'],
+    artifact: '{stem}',
+    run: ['{artifact}'],
+    versionCommand: ['rustc', '--version'],
+    template: `// Problem: {{PROBLEM_NAME}}
+// Difficulty: {{DIFFICULTY}}
+// Tags: {{TAGS}}
+
+use std::io::{self, Read};
+
+fn solve(input: &str) -> String {
+    // Your solution here
+    input.to_string()
+}
+
+fn main() {
+    let mut input = String::new();
+    io::stdin().read_to_string(&mut input).unwrap();
+    println!("{}", solve(input.trim()));
+}`
+  },
+
+  ruby: {
+    name: 'Ruby',
+    extension: 'rb',
+    run: ['ruby', '{file}'],
+    versionCommand: ['ruby', '--version'],
+    template: `# Problem: {{PROBLEM_NAME}}
+# Difficulty: {{DIFFICULTY}}
+# Tags: {{TAGS}}
+
+def solve(input)
+  # Your solution here
+  input
+end
+
+# For competitive programming
+input = $stdin.read.strip
+puts solve(input)`
+  }
+};
+
+// Describes how each language is compiled and run. The built-in languages
+// can be overridden and extended from a JSON config file; toolchains are
+// probed for their versions so the UI can tell which ones are installed.
+class LanguageRegistry {
+  constructor(configPath = DEFAULT_CONFIG_PATH) {
+    this.configPath = configPath;
+    this.languages = this.buildLanguages({});
+    this.probes = null;
+  }
+
+  // Merges the config file over the built-in languages
+  async load() {
+    let config;
+    try {
+      config = JSON.parse(await fs.readFile(this.configPath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return this.list();
+      throw new Error(`Failed to read language config: ${err.message}`);
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('Language config must map language ids to settings');
+    }
+
+    this.languages = this.buildLanguages(config);
+    this.probes = null;
+    return this.list();
+  }
+
+  buildLanguages(config) {
+    const languages = new Map();
+    for (const id of new Set([...Object.keys(BUILTIN_LANGUAGES), ...Object.keys(config)])) {
+      if (config[id] !== undefined && (!config[id] || typeof config[id] !== 'object')) {
+        throw new Error(`Settings of language ${id} must be an object`);
+      }
+      languages.set(id, this.validate(id, { ...BUILTIN_LANGUAGES[id], ...config[id] }));
+    }
+
+    const extensions = new Map();
+    for (const language of languages.values()) {
+      if (extensions.has(language.extension)) {
+        throw new Error(`Languages ${extensions.get(language.extension)} and ${language.id} share the extension .${language.extension}`);
+      }
+      extensions.set(language.extension, language.id);
+    }
+
+    return languages;
+  }
+
+  validate(id, settings) {
+    if (!ID_PATTERN.test(id)) {
+      throw new Error(`Invalid language id: ${id}`);
+    }
+
+    const isCommand = value => Array.isArray(value) && value.length > 0 && value.every(token => typeof token === 'string');
+
+    if (typeof settings.extension !== 'string' || !/^\w+$/.test(settings.extension)) {
+      throw new Error(`Language ${id} needs a file extension`);
+    }
+    if (!isCommand(settings.run)) {
+      throw new Error(`Language ${id} needs a run command`);
+    }
+    if (settings.compile !== undefined && settings.compile !== null) {
+      if (!isCommand(settings.compile)) {
+        throw new Error(`Compile command of language ${id} must be a list of arguments`);
+      }
+      if (typeof settings.artifact !== 'string' || !settings.artifact) {
+        throw new Error(`Language ${id} needs the name of its compiled artifact`);
+      }
+    }
+    if (settings.versionCommand !== undefined && settings.versionCommand !== null && !isCommand(settings.versionCommand)) {
+      throw new Error(`Version command of language ${id} must be a list of arguments`);
+    }
+
+    return {
+      id,
+      name: typeof settings.name === 'string' && settings.name ? settings.name : id,
+      extension: settings.extension,
+      compile: settings.compile || null,
+      artifact: settings.compile ? settings.artifact : null,
+      run: settings.run,
+      publicClass: Boolean(settings.publicClass),
+      versionCommand: settings.versionCommand || null,
+      template: typeof settings.template === 'string' ? settings.template : ''
+    };
+  }
+
+  list() {
+    return [...this.languages.values()];
+  }
+
+  get(id) {
+    const language = this.languages.get(id);
+    if (!language) {
+      throw new Error(`Unsupported language: ${id}`);
+    }
+    return language;
+  }
+
+  findByExtension(extension) {
+    return this.list().find(language => language.extension === extension) || null;
+  }
+
+  // Fills in the placeholders of a command. A token that is exactly a
+  // placeholder for a list expands to all of its entries.
+  command(template, values) {
+    const [command, ...args] = template.flatMap(token => {
+      const whole = /^\{(\w+)\}$/.exec(token);
+      if (whole && Array.isArray(values[whole[1]])) return values[whole[1]];
+      return [this.expand(token, values)];
+    });
+    return { command, args };
+  }
+
+  expand(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, key) => (values[key] === undefined ? match : String(values[key])));
+  }
+
+  // Runs every version command once and caches the outcome:
+  // [{ id, name, extension, compiled, available, version }]
+  async probe() {
+    if (!this.probes) {
+      this.probes = Promise.all(this.list().map(async (language) => {
+        const version = language.versionCommand ? await this.probeVersion(language.versionCommand) : null;
+        return {
+          id: language.id,
+          name: language.name,
+          extension: language.extension,
+          compiled: Boolean(language.compile),
+          available: version !== null,
+          version
+        };
+      }));
+    }
+    return this.probes;
+  }
+
+  // First line the command prints, or null when it cannot be run
+  probeVersion([command, ...args]) {
+    return new Promise((resolve) => {
+      let output = '';
+      const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'], timeout: VERSION_PROBE_TIMEOUT });
+      // Some compilers print their version to stderr
+      child.stdout.on('data', (data) => { output += data.toString(); });
+      child.stderr.on('data', (data) => { output += data.toString(); });
+      child.on('error', () => resolve(null));
+      child.on('close', (code) => {
+        const line = output.split('\n').map(text => text.trim()).find(text => text);
+        resolve(code === 0 ? (line || '') : null);
+      });
+    });
+  }
+}
+
+module.exports = LanguageRegistry;
+module.exports.BUILTIN_LANGUAGES = BUILTIN_LANGUAGES;
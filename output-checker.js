@@ -0,0 +1,211 @@
+'use strict';
+
+const CHECKER_TYPES = ['exact', 'tokens', 'float', 'unordered', 'case-insensitive', 'custom'];
+
+// How a custom checker is called: this toolkit's own convention, or that of
+// checkers imported from Polygon (testlib) and Kattis packages
+const CHECKER_PROTOCOLS = ['default', 'testlib', 'kattis'];
+
+const DEFAULT_FLOAT_ERROR = 1e-6;
+
+class OutputChecker {
+  validate(checker = {}) {
+    const type = checker.type || 'exact';
+
+    if (!CHECKER_TYPES.includes(type)) {
+      throw new Error(`Unknown checker type: ${type}`);
+    }
+
+    const validated = { type };
+
+    if (type === 'float') {
+      for (const key of ['absoluteError', 'relativeError']) {
+        if (checker[key] === undefined || checker[key] === null || checker[key] === '') continue;
+        const value = Number(checker[key]);
+        if (!Number.isFinite(value) || value < 0) {
+          throw new Error(`${key} must be a non-negative number`);
+        }
+        validated[key] = value;
+      }
+    }
+
+    if (type === 'custom') {
+      if (typeof checker.program !== 'string' || !checker.program.trim()) {
+        throw new Error('A custom checker needs a program file name');
+      }
+      if (checker.program.includes('/') || checker.program.includes('\\')) {
+        throw new Error('The checker program must be a file inside the problem directory');
+      }
+      validated.program = checker.program.trim();
+
+      const protocol = checker.protocol || 'default';
+      if (!CHECKER_PROTOCOLS.includes(protocol)) {
+        throw new Error(`Unknown checker protocol: ${protocol}`);
+      }
+      if (protocol !== 'default') {
+        validated.protocol = protocol;
+      }
+    }
+
+    return validated;
+  }
+
+  // Compares with one of the built-in modes. Custom checkers are programs
+  // and are run by the test harness instead.
+  compare(actual, expected, checker = {}) {
+    switch (checker.type || 'exact') {
+      case 'exact':
+        return this.result(actual.trim() === expected.trim());
+      case 'tokens':
+        return this.compareTokens(this.tokenize(actual), this.tokenize(expected), (a, b) => a === b);
+      case 'case-insensitive':
+        return this.compareTokens(
+          this.tokenize(actual),
+          this.tokenize(expected),
+          (a, b) => a.toLowerCase() === b.toLowerCase()
+        );
+      case 'float':
+        return this.compareFloats(actual, expected, checker);
+      case 'unordered':
+        return this.compareUnordered(actual, expected);
+      default:
+        throw new Error(`Checker type ${checker.type} cannot be compared directly`);
+    }
+  }
+
+  // Compares JSON values such as function return values. Float tolerance,
+  // case-insensitive strings and any-order top-level arrays carry over from
+  // the text modes; every other mode is a deep equality check.
+  compareJson(actual, expected, checker = {}) {
+    let expectedValue;
+    let actualValue;
+
+    try {
+      expectedValue = JSON.parse(expected);
+    } catch (err) {
+      throw new Error(`Expected output is not valid JSON: ${err.message}`);
+    }
+
+    try {
+      actualValue = JSON.parse(actual);
+    } catch (err) {
+      return this.result(false, 'Result is not valid JSON');
+    }
+
+    if (checker.type === 'unordered' && Array.isArray(actualValue) && Array.isArray(expectedValue)) {
+      const sortKey = (value) => JSON.stringify(value);
+      actualValue = actualValue.slice().sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+      expectedValue = expectedValue.slice().sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+    }
+
+    const mismatch = this.findMismatch(actualValue, expectedValue, checker, 'result');
+    return mismatch ? this.result(false, mismatch) : this.result(true);
+  }
+
+  findMismatch(actual, expected, checker, location) {
+    if (Array.isArray(expected)) {
+      if (!Array.isArray(actual)) {
+        return `${location} should be an array`;
+      }
+      if (actual.length !== expected.length) {
+        return `${location} has length ${actual.length}, expected ${expected.length}`;
+      }
+      for (let i = 0; i < expected.length; i++) {
+        const mismatch = this.findMismatch(actual[i], expected[i], checker, `${location}[${i}]`);
+        if (mismatch) return mismatch;
+      }
+      return null;
+    }
+
+    if (expected !== null && typeof expected === 'object') {
+      if (actual === null || typeof actual !== 'object' || Array.isArray(actual)) {
+        return `${location} should be an object`;
+      }
+      const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+      for (const key of keys) {
+        const mismatch = this.findMismatch(actual[key], expected[key], checker, `${location}.${key}`);
+        if (mismatch) return mismatch;
+      }
+      return null;
+    }
+
+    let equal = actual === expected;
+    if (!equal && checker.type === 'float' && typeof actual === 'number' && typeof expected === 'number') {
+      const difference = Math.abs(actual - expected);
+      equal = difference <= (checker.absoluteError ?? DEFAULT_FLOAT_ERROR) ||
+        difference <= (checker.relativeError ?? DEFAULT_FLOAT_ERROR) * Math.abs(expected);
+    }
+    if (!equal && checker.type === 'case-insensitive' && typeof actual === 'string' && typeof expected === 'string') {
+      equal = actual.toLowerCase() === expected.toLowerCase();
+    }
+
+    return equal ? null : `${location} is ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`;
+  }
+
+  tokenize(text) {
+    return text.split(/\s+/).filter(token => token);
+  }
+
+  compareTokens(actualTokens, expectedTokens, equals) {
+    const count = Math.min(actualTokens.length, expectedTokens.length);
+
+    for (let i = 0; i < count; i++) {
+      if (!equals(actualTokens[i], expectedTokens[i])) {
+        return this.result(false, `Token ${i + 1} differs: expected "${expectedTokens[i]}", found "${actualTokens[i]}"`);
+      }
+    }
+
+    if (actualTokens.length !== expectedTokens.length) {
+      return this.result(false, `Expected ${expectedTokens.length} tokens, found ${actualTokens.length}`);
+    }
+
+    return this.result(true);
+  }
+
+  compareFloats(actual, expected, checker) {
+    const absoluteError = checker.absoluteError ?? DEFAULT_FLOAT_ERROR;
+    const relativeError = checker.relativeError ?? DEFAULT_FLOAT_ERROR;
+
+    return this.compareTokens(this.tokenize(actual), this.tokenize(expected), (a, b) => {
+      const x = Number(a);
+      const y = Number(b);
+
+      // Tokens that are not numbers still have to match exactly
+      if (Number.isNaN(x) || Number.isNaN(y)) return a === b;
+      if (x === y) return true;
+
+      const difference = Math.abs(x - y);
+      return difference <= absoluteError || difference <= relativeError * Math.abs(y);
+    });
+  }
+
+  compareUnordered(actual, expected) {
+    const normalize = (text) => text
+      .split('\n')
+      .map(line => this.tokenize(line).join(' '))
+      .filter(line => line)
+      .sort();
+
+    const actualLines = normalize(actual);
+    const expectedLines = normalize(expected);
+
+    if (actualLines.length !== expectedLines.length) {
+      return this.result(false, `Expected ${expectedLines.length} lines, found ${actualLines.length}`);
+    }
+
+    for (let i = 0; i < expectedLines.length; i++) {
+      if (actualLines[i] !== expectedLines[i]) {
+        return this.result(false, `Line "${expectedLines[i]}" has no match in the output`);
+      }
+    }
+
+    return this.result(true);
+  }
+
+  result(passed, message = null) {
+    return { passed, message };
+  }
+}
+
+module.exports = OutputChecker;
+module.exports.CHECKER_TYPES = CHECKER_TYPES;
@@ -257,6 +257,28 @@ class PracticeTracker {
     }
   }
 
+  // Points sessions logged under a renamed problem at its new id and name
+  async renameProblem(previousId, problemId, problemName) {
+    try {
+      const data = JSON.parse(await fs.readFile(this.trackerFile, 'utf8'));
+      let updated = 0;
+
+      for (const session of data.sessions) {
+        if (session.problemId !== previousId) continue;
+        session.problemId = problemId;
+        session.problemName = problemName;
+        updated++;
+      }
+
+      if (updated > 0) {
+        await fs.writeFile(this.trackerFile, JSON.stringify(data, null, 2));
+      }
+      return updated;
+    } catch (err) {
+      throw new Error(`Failed to update sessions: ${err.message}`);
+    }
+  }
+
   async exportData(format = 'json') {
     try {
       const data = JSON.parse(await fs.readFile(this.trackerFile, 'utf8'));
@@ -0,0 +1,72 @@
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const MAX_ID_LENGTH = 64;
+const FALLBACK_ID = 'problem';
+
+// Ids are single directory names inside the workspace. Older problems may
+// use characters the slug generator no longer produces, so validation only
+// rejects what could leave the workspace or hide the directory.
+const UNSAFE_ID = /[\/\\\0-\x1f]/;
+
+class ProblemIds {
+  // Lowercase ASCII letters and digits joined by single dashes
+  slugify(name) {
+    const slug = String(name)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .slice(0, MAX_ID_LENGTH)
+      .replace(/^-+|-+$/g, '');
+
+    return slug || FALLBACK_ID;
+  }
+
+  validate(problemId) {
+    if (typeof problemId !== 'string' || !problemId || problemId.length > MAX_ID_LENGTH * 2) {
+      throw new Error('Invalid problem id');
+    }
+    if (UNSAFE_ID.test(problemId) || problemId.startsWith('.')) {
+      throw new Error(`Invalid problem id: ${problemId}`);
+    }
+    return problemId;
+  }
+
+  // Directory of a problem, checked to sit directly inside the workspace
+  resolve(workspaceDir, problemId) {
+    this.validate(problemId);
+
+    const problemDir = path.resolve(workspaceDir, problemId);
+    if (path.dirname(problemDir) !== path.resolve(workspaceDir)) {
+      throw new Error(`Invalid problem id: ${problemId}`);
+    }
+    return problemDir;
+  }
+
+  // Claims the slug of `name`, or the first free "slug-2", "slug-3", ... by
+  // creating its directory, so concurrent creates never share an id.
+  // `currentId` is returned as is when the slug leads back to it.
+  async allocate(workspaceDir, name, currentId = null) {
+    const base = this.slugify(name);
+
+    for (let attempt = 1; ; attempt++) {
+      const suffix = attempt === 1 ? '' : `-${attempt}`;
+      const problemId = `${base.slice(0, MAX_ID_LENGTH - suffix.length).replace(/-+$/, '')}${suffix}`;
+      if (problemId === currentId) return problemId;
+
+      try {
+        await fs.mkdir(this.resolve(workspaceDir, problemId));
+        return problemId;
+      } catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw new Error(`Failed to create problem directory: ${err.message}`);
+        }
+      }
+    }
+  }
+}
+
+module.exports = ProblemIds;
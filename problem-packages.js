@@ -0,0 +1,439 @@
+'use strict';
+
+const AdmZip = require('adm-zip');
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { XMLParser } = require('fast-xml-parser');
+
+// Files whose presence identifies a package, checked in this order
+const PACKAGE_MARKERS = [
+  { file: 'metadata.json', format: 'toolkit' },
+  { file: 'problem.xml', format: 'polygon' },
+  { file: 'problem.yaml', format: 'kattis' }
+];
+
+// Build output and personal history stay out of exported archives
+const EXPORT_EXCLUDES = ['.build', 'snapshots', 'runs.json'];
+
+const MAX_LABEL_LENGTH = 100;
+
+// Polygon's standard checkers and the built-in checker closest to each
+const POLYGON_CHECKERS = {
+  'std::wcmp.cpp': { type: 'tokens' },
+  'std::ncmp.cpp': { type: 'tokens' },
+  'std::lcmp.cpp': { type: 'tokens' },
+  'std::hcmp.cpp': { type: 'tokens' },
+  'std::fcmp.cpp': { type: 'exact' },
+  'std::yesno.cpp': { type: 'case-insensitive' },
+  'std::nyesno.cpp': { type: 'case-insensitive' },
+  'std::uncmp.cpp': { type: 'unordered' },
+  'std::rcmp4.cpp': { type: 'float', absoluteError: 1e-4, relativeError: 1e-4 },
+  'std::rcmp6.cpp': { type: 'float', absoluteError: 1e-6, relativeError: 1e-6 },
+  'std::rcmp9.cpp': { type: 'float', absoluteError: 1e-9, relativeError: 1e-9 }
+};
+
+// Checker sources that can be imported, by extension, and the extension
+// they get in the problem directory
+const CHECKER_EXTENSIONS = {
+  '.cpp': 'cpp',
+  '.cc': 'cpp',
+  '.cxx': 'cpp',
+  '.c': 'c',
+  '.java': 'java',
+  '.kt': 'kt',
+  '.py': 'py',
+  '.go': 'go',
+  '.rs': 'rs',
+  '.js': 'js',
+  '.ts': 'ts',
+  '.rb': 'rb'
+};
+const HEADER_EXTENSIONS = ['.h', '.hpp'];
+
+// Elements of problem.xml that may repeat, so they always parse as arrays
+const POLYGON_LISTS = ['name', 'statement', 'testset', 'test', 'tag', 'checker', 'interactor'];
+
+// Reads Kattis and Polygon problem packages, and zips written by pack(), into
+// a plain description of the problem. Packages are read into memory and
+// never extracted, so their paths cannot reach outside the problem.
+class ProblemPackages {
+  // Zip entries as a Map of package-relative paths to Buffers
+  unzip(buffer) {
+    let zip;
+    try {
+      zip = new AdmZip(buffer);
+    } catch (err) {
+      throw new Error(`Not a zip archive: ${err.message}`);
+    }
+
+    const files = new Map();
+    for (const entry of zip.getEntries()) {
+      if (entry.isDirectory) continue;
+      files.set(entry.entryName, entry.getData());
+    }
+    return this.findRoot(files);
+  }
+
+  async readDirectory(sourceDir) {
+    const files = new Map();
+    const walk = async (dir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) await walk(fullPath);
+        else if (entry.isFile()) files.set(path.relative(sourceDir, fullPath).split(path.sep).join('/'), await fs.readFile(fullPath));
+      }
+    };
+
+    try {
+      await walk(sourceDir);
+    } catch (err) {
+      throw new Error(`Failed to read ${sourceDir}: ${err.message}`);
+    }
+    return this.findRoot(files);
+  }
+
+  // Archives often wrap the package in a folder. The shallowest marker file
+  // decides where the package starts; anything outside it, and any path that
+  // is absolute or climbs with "..", is dropped.
+  findRoot(files) {
+    const safe = [...files.keys()].filter(name => {
+      const segments = name.split(/[\\/]/);
+      return !path.isAbsolute(name) && !segments.includes('..') && !/^[a-zA-Z]:/.test(name);
+    });
+
+    let root = null;
+    let rootDepth = Infinity;
+    for (const name of safe) {
+      const segments = name.split('/');
+      if (!PACKAGE_MARKERS.some(marker => marker.file === segments[segments.length - 1])) continue;
+      if (segments.length - 1 < rootDepth) {
+        root = segments.slice(0, -1).join('/');
+        rootDepth = segments.length - 1;
+      }
+    }
+
+    if (root === null) {
+      throw new Error('Unrecognized problem package: expected problem.yaml (Kattis), problem.xml (Polygon) or metadata.json (exported problem)');
+    }
+
+    const packaged = new Map();
+    for (const name of safe) {
+      if (root && !name.startsWith(`${root}/`)) continue;
+      packaged.set(root ? name.slice(root.length + 1) : name, files.get(name));
+    }
+    return packaged;
+  }
+
+  // Returns { format, name, description, tags, limits, checker, cases,
+  // warnings } for judge packages, or { format: 'toolkit', metadata, files,
+  // warnings } for archives made by pack()
+  read(files) {
+    const { format } = PACKAGE_MARKERS.find(marker => files.has(marker.file));
+
+    try {
+      switch (format) {
+        case 'toolkit':
+          return this.readToolkit(files);
+        case 'polygon':
+          return this.readPolygon(files);
+        default:
+          return this.readKattis(files);
+      }
+    } catch (err) {
+      throw new Error(`Invalid ${format} package: ${err.message}`);
+    }
+  }
+
+  readToolkit(files) {
+    const metadata = JSON.parse(this.text(files, 'metadata.json'));
+    const problemFiles = new Map([...files].filter(([name]) => name !== 'metadata.json' && !this.isExcluded(name)));
+    return { format: 'toolkit', metadata, files: problemFiles, warnings: [] };
+  }
+
+  // https://www.kattis.com/problem-package-format/ (legacy and 2023-07)
+  readKattis(files) {
+    const config = yaml.load(this.text(files, 'problem.yaml')) || {};
+    const limits = config.limits || {};
+    const warnings = [];
+
+    const statementFile = this.findStatement(files);
+    const statement = statementFile ? this.text(files, statementFile) : '';
+    const titleMatch = /\\problemname\{([^}]*)\}/.exec(statement);
+    const name = this.localized(config.name) || (titleMatch && titleMatch[1].trim()) || 'Kattis problem';
+
+    // The legacy format leaves the time limit to the judge; some packages
+    // record it in .timelimit
+    const seconds = limits.time_limit || (files.has('.timelimit') ? Number(this.text(files, '.timelimit').trim()) : null);
+
+    let testdata = {};
+    if (files.has('data/testdata.yaml')) {
+      testdata = yaml.load(this.text(files, 'data/testdata.yaml')) || {};
+    }
+    const flags = config.validator_flags || testdata.output_validator_flags || testdata.output_validator_args || '';
+    const flagText = Array.isArray(flags) ? flags.join(' ') : String(flags);
+
+    const validation = String(config.validation || config.type || 'default');
+    let checker = this.kattisChecker(flagText);
+    let checkerFiles = new Map();
+    if (/interactive|multi-pass/.test(validation)) {
+      warnings.push(`The package uses ${validation} validation, which is not imported; outputs are compared with the default checker`);
+    } else {
+      const validator = this.kattisValidator(files, warnings);
+      if (validator) {
+        ({ checker, files: checkerFiles } = validator);
+        if (flagText.trim()) {
+          warnings.push(`The validator flags "${flagText}" are not passed to the imported output validator`);
+        }
+      } else if (/custom/.test(validation)) {
+        warnings.push('The package uses custom validation but has no output validator that can be imported; outputs are compared with the default checker');
+      }
+    }
+
+    const cases = [];
+    for (const file of this.sortNames([...files.keys()])) {
+      if (!file.startsWith('data/') || path.posix.extname(file) !== '.in') continue;
+      const stem = file.slice(0, -'.in'.length);
+      if (!files.has(`${stem}.ans`)) continue;
+      cases.push({
+        label: stem.slice('data/'.length).slice(0, MAX_LABEL_LENGTH),
+        input: this.text(files, file),
+        expected: this.text(files, `${stem}.ans`),
+        sample: stem.startsWith('data/sample/')
+      });
+    }
+    cases.sort((a, b) => Number(b.sample) - Number(a.sample));
+
+    return {
+      format: 'kattis',
+      name,
+      description: statement,
+      tags: this.list(config.keywords),
+      limits: {
+        timeLimit: seconds ? Math.round(seconds * 1000) : undefined,
+        memoryLimit: limits.memory || undefined
+      },
+      checker,
+      checkerFiles,
+      cases,
+      warnings
+    };
+  }
+
+  // The first output validator (output_validators/NAME/ in the legacy
+  // format, output_validator/ in 2023-07). Only one source is compiled, so
+  // validators split across several sources are reported.
+  kattisValidator(files, warnings) {
+    const validatorFiles = [...files.keys()].filter(name => /^(output_validators\/[^/]+|output_validator)\/[^/]+$/.test(name));
+    if (validatorFiles.length === 0) return null;
+
+    const dir = this.sortNames(validatorFiles.map(name => path.posix.dirname(name)))[0];
+    const sources = this.sortNames(validatorFiles.filter(name => path.posix.dirname(name) === dir && CHECKER_EXTENSIONS[path.posix.extname(name)]));
+    if (sources.length === 0) return null;
+
+    const main = sources.find(name => /^validat/.test(path.posix.basename(name))) || sources[0];
+    if (sources.length > 1) {
+      warnings.push(`The output validator has several sources; only ${path.posix.basename(main)} is compiled`);
+    }
+    return this.importChecker(files, main, 'kattis');
+  }
+
+  // Copies a checker and the headers beside it. The program is renamed
+  // checker.EXT so it cannot clash with the problem's own files; headers
+  // keep their names so #include still finds them.
+  importChecker(files, sourceFile, protocol) {
+    const extension = CHECKER_EXTENSIONS[path.posix.extname(sourceFile)];
+    if (!extension || !files.has(sourceFile)) return null;
+
+    const program = `checker.${extension}`;
+    const checkerFiles = new Map([[program, files.get(sourceFile)]]);
+    for (const [name, data] of files) {
+      if (path.posix.dirname(name) === path.posix.dirname(sourceFile) && HEADER_EXTENSIONS.includes(path.posix.extname(name))) {
+        checkerFiles.set(path.posix.basename(name), data);
+      }
+    }
+
+    return { checker: { type: 'custom', program, protocol }, files: checkerFiles };
+  }
+
+  // Kattis' default validator ignores case unless told otherwise
+  kattisChecker(flags) {
+    const tokens = flags.split(/\s+/).filter(token => token);
+    const option = (key) => {
+      const index = tokens.indexOf(key);
+      return index === -1 ? undefined : Number(tokens[index + 1]);
+    };
+
+    const tolerance = option('float_tolerance');
+    const absoluteError = option('float_absolute_tolerance') ?? tolerance;
+    const relativeError = option('float_relative_tolerance') ?? tolerance;
+    if (absoluteError !== undefined || relativeError !== undefined) {
+      return { type: 'float', absoluteError, relativeError };
+    }
+
+    return { type: tokens.includes('case_sensitive') ? 'tokens' : 'case-insensitive' };
+  }
+
+  findStatement(files) {
+    const candidates = [...files.keys()].filter(name => /^(problem_statement|statement)\/problem(\.[a-z]{2})?\.(tex|md)$/.test(name));
+    return candidates.find(name => name.includes('problem.en.')) || candidates[0] || null;
+  }
+
+  // https://polygon.codeforces.com/ full or standard packages
+  readPolygon(files) {
+    const parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '',
+      isArray: (name) => POLYGON_LISTS.includes(name)
+    });
+    const problem = parser.parse(this.text(files, 'problem.xml')).problem;
+    if (!problem) {
+      throw new Error('problem.xml has no <problem> element');
+    }
+
+    const warnings = [];
+    const names = (problem.names && problem.names.name) || [];
+    const title = names.find(entry => entry.language === 'english') || names[0];
+    const name = (title && title.value) || problem['short-name'] || 'Polygon problem';
+
+    const judging = problem.judging || {};
+    const testsets = judging.testset || [];
+    const testset = testsets.find(entry => entry.name === 'tests') || testsets[0];
+    if (!testset) {
+      throw new Error('problem.xml has no testset');
+    }
+    if (judging['input-file'] || judging['output-file']) {
+      warnings.push('The problem reads and writes files; it is imported as reading stdin and writing stdout');
+    }
+
+    const tests = (testset.tests && testset.tests.test) || [];
+    const cases = [];
+    let missing = 0;
+    tests.forEach((test, i) => {
+      const inputFile = this.formatPattern(testset['input-path-pattern'], i + 1);
+      const answerFile = this.formatPattern(testset['answer-path-pattern'], i + 1);
+      if (!files.has(inputFile) || !files.has(answerFile)) {
+        missing++;
+        return;
+      }
+      cases.push({
+        label: path.posix.basename(inputFile).slice(0, MAX_LABEL_LENGTH),
+        input: this.text(files, inputFile),
+        expected: this.text(files, answerFile),
+        sample: test.sample === 'true'
+      });
+    });
+    if (missing > 0) {
+      warnings.push(`${missing} tests were skipped because the package has no input or answer file for them; build the package with generated tests to include them`);
+    }
+
+    const assets = problem.assets || {};
+    const checker = (assets.checker || [])[0];
+    let validatedChecker = { type: 'tokens' };
+    let checkerFiles = new Map();
+    if (checker && POLYGON_CHECKERS[checker.name]) {
+      validatedChecker = POLYGON_CHECKERS[checker.name];
+    } else if (checker) {
+      const sourceFile = checker.source && checker.source.path;
+      const imported = sourceFile && this.importChecker(files, sourceFile, 'testlib');
+      if (imported) {
+        ({ checker: validatedChecker, files: checkerFiles } = imported);
+      } else {
+        warnings.push(`The custom checker ${sourceFile || checker.name || ''} could not be imported; outputs are compared token by token`);
+      }
+    }
+    if (assets.interactor) {
+      warnings.push('The interactor is not imported; the problem is imported as a regular stdin problem');
+    }
+
+    const timeLimit = Number(testset['time-limit']);
+    const memoryLimit = Number(testset['memory-limit']);
+
+    return {
+      format: 'polygon',
+      name: String(name),
+      description: this.polygonStatement(files, title ? title.language : 'english'),
+      tags: ((problem.tags && problem.tags.tag) || []).map(tag => String(tag.value)),
+      limits: {
+        timeLimit: timeLimit > 0 ? timeLimit : undefined,
+        memoryLimit: memoryLimit > 0 ? Math.round(memoryLimit / (1024 * 1024)) : undefined
+      },
+      checker: validatedChecker,
+      checkerFiles,
+      cases,
+      warnings
+    };
+  }
+
+  // Legend, input, output and notes from problem-properties.json, or from the
+  // statement-sections sources when the package has no properties file
+  polygonStatement(files, language) {
+    const sections = {};
+    const propertiesFile = `statements/${language}/problem-properties.json`;
+
+    if (files.has(propertiesFile)) {
+      Object.assign(sections, JSON.parse(this.text(files, propertiesFile)));
+    } else {
+      for (const key of ['legend', 'input', 'output', 'notes']) {
+        const sectionFile = `statement-sections/${language}/${key}.tex`;
+        if (files.has(sectionFile)) sections[key] = this.text(files, sectionFile);
+      }
+    }
+
+    return [
+      sections.legend,
+      sections.input && `Input\n${sections.input}`,
+      sections.output && `Output\n${sections.output}`,
+      sections.notes && `Notes\n${sections.notes}`
+    ].filter(section => section).map(section => section.trim()).join('\n\n');
+  }
+
+  // Polygon paths use printf patterns such as tests/%02d
+  formatPattern(pattern, index) {
+    return String(pattern || '').replace(/%0?(\d*)d/, (match, width) => String(index).padStart(Number(width) || 0, '0'));
+  }
+
+  // Zips the problem directory under a folder named after the problem
+  async pack(problemDir, problemId) {
+    const zip = new AdmZip();
+
+    const walk = async (dir) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        const relative = path.relative(problemDir, fullPath).split(path.sep).join('/');
+        if (this.isExcluded(relative)) continue;
+        if (entry.isDirectory()) await walk(fullPath);
+        else if (entry.isFile()) zip.addFile(`${problemId}/${relative}`, await fs.readFile(fullPath));
+      }
+    };
+
+    await walk(problemDir);
+    return zip.toBuffer();
+  }
+
+  isExcluded(relativePath) {
+    return EXPORT_EXCLUDES.includes(relativePath.split('/')[0]);
+  }
+
+  // Kattis names may be a string or a map of languages to strings
+  localized(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return value.trim();
+    return String(value.en || Object.values(value)[0] || '').trim() || null;
+  }
+
+  list(value) {
+    if (!value) return [];
+    return (Array.isArray(value) ? value : String(value).split(/[\s,]+/)).map(String).filter(item => item);
+  }
+
+  sortNames(names) {
+    return names.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  }
+
+  text(files, name) {
+    return files.get(name).toString('utf8');
+  }
+}
+
+module.exports = ProblemPackages;
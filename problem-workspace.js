@@ -2,16 +2,38 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { DEFAULT_LIMITS } = require('./test-harness');
+const OutputChecker = require('./output-checker');
+const FunctionDriver = require('./function-driver');
+const TestCaseStore = require('./test-case-store');
+const SubtaskScorer = require('./subtask-scorer');
+const LanguageRegistry = require('./language-registry');
+const ProblemIds = require('./problem-ids');
+const ProblemPackages = require('./problem-packages');
+const ImportRoot = require('./import-root');
+
+const PROBLEM_MODES = ['stdin', 'function', 'interactive'];
 
 class ProblemWorkspace {
   constructor() {
     this.workspaceDir = path.join(__dirname, '..', 'workspace');
     this.templatesDir = path.join(__dirname, '..', 'templates');
+    this.trashDir = path.join(__dirname, '..', 'trash');
+    this.outputChecker = new OutputChecker();
+    this.functionDriver = new FunctionDriver();
+    this.testCaseStore = new TestCaseStore();
+    this.subtaskScorer = new SubtaskScorer();
+    this.languages = new LanguageRegistry();
+    this.problemIds = new ProblemIds();
+    this.problemPackages = new ProblemPackages();
+    this.importRoot = new ImportRoot();
   }
 
   async init() {
     await this.ensureDir(this.workspaceDir);
     await this.ensureDir(this.templatesDir);
+    await this.ensureDir(this.trashDir);
+    await this.languages.load();
     await this.createTemplates();
   }
 
@@ -24,94 +46,11 @@ class ProblemWorkspace {
   }
 
   async createTemplates() {
-    const templates = {
-      'javascript.js': `// Problem: {{PROBLEM_NAME}}
-// Difficulty: {{DIFFICULTY}}
-// Tags: {{TAGS}}
-
-function solve(input) {
-  // Your solution here
-  return input;
-}
-
-// Test cases
-console.log(solve("test input")); // Expected: expected output
-
-// For competitive programming
-const readline = require('readline');
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-let input = [];
-rl.on('line', (line) => {
-  input.push(line);
-}).on('close', () => {
-  console.log(solve(input));
-});`,
-
-      'python.py': `# Problem: {{PROBLEM_NAME}}
-# Difficulty: {{DIFFICULTY}}
-# Tags: {{TAGS}}
-
-def solve(input_data):
-    # Your solution here
-    return input_data
-
-# Test cases
-print(solve("test input"))  # Expected: expected output
-
-# For competitive programming
-import sys
-input = sys.stdin.read().strip()
-print(solve(input))`,
-
-      'java.java': `// Problem: {{PROBLEM_NAME}}
-// Difficulty: {{DIFFICULTY}}
-// Tags: {{TAGS}}
-
-import java.util.*;
-import java.io.*;
-
-public class Solution {
-    public static String solve(String input) {
-        // Your solution here
-        return input;
-    }
-    
-    public static void main(String[] args) throws IOException {
-        BufferedReader br = new BufferedReader(new InputStreamReader(System.in));
-        String input = br.readLine();
-        System.out.println(solve(input));
-    }
-}`,
-
-      'cpp.cpp': `// Problem: {{PROBLEM_NAME}}
-// Difficulty: {{DIFFICULTY}}
-// Tags: {{TAGS}}
-
-#include <iostream>
-#include <string>
-using namespace std;
-
-string solve(string input) {
-    // Your solution here
-    return input;
-}
-
-int main() {
-    string input;
-    getline(cin, input);
-    cout << solve(input) << endl;
-    return 0;
-}`
-    };
-
-    for (const [filename, content] of Object.entries(templates)) {
-      const filepath = path.join(this.templatesDir, filename);
+    for (const language of this.languages.list()) {
+      if (!language.template) continue;
+      const filepath = path.join(this.templatesDir, `${language.id}.${language.extension}`);
       try {
-        await fs.writeFile(filepath, content);
+        await fs.writeFile(filepath, language.template);
       } catch (err) {
         // File might already exist
       }
@@ -126,13 +65,35 @@ int main() {
       description = '',
       sampleInput = '',
       sampleOutput = '',
-      language = 'javascript'
+      language = 'javascript',
+      timeLimit = DEFAULT_LIMITS.timeLimit,
+      memoryLimit = DEFAULT_LIMITS.memoryLimit,
+      checker = { type: 'exact' },
+      mode = 'stdin',
+      signature = null,
+      interactor = null
     } = problemData;
 
-    const problemId = name.toLowerCase().replace(/\s+/g, '-');
-    const problemDir = path.join(this.workspaceDir, problemId);
-    
-    await this.ensureDir(problemDir);
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('A problem name is required');
+    }
+
+    const { extension } = this.languages.get(language);
+    const limits = this.validateLimits({ timeLimit, memoryLimit });
+    const validatedChecker = this.outputChecker.validate(checker);
+
+    if (!PROBLEM_MODES.includes(mode)) {
+      throw new Error(`Unknown problem mode: ${mode}`);
+    }
+    const validatedSignature = mode === 'function' ? this.functionDriver.validateSignature(signature || {}) : null;
+    if (validatedSignature) {
+      this.validateFunctionSample(validatedSignature, sampleInput, sampleOutput);
+    }
+    const validatedInteractor = mode === 'interactive' ? this.validateInteractor(interactor || {}) : null;
+
+    // Same-named problems get suffixed ids instead of overwriting each other
+    const problemId = await this.problemIds.allocate(this.workspaceDir, name);
+    const problemDir = this.getProblemDir(problemId);
 
     // Create problem metadata
     const metadata = {
@@ -143,47 +104,50 @@ int main() {
       description,
       sampleInput,
       sampleOutput,
+      limits,
+      checker: validatedChecker,
+      mode,
       createdAt: new Date().toISOString(),
       status: 'unsolved'
     };
 
-    await fs.writeFile(
-      path.join(problemDir, 'metadata.json'),
-      JSON.stringify(metadata, null, 2)
-    );
-
-    // Create solution file
-    const templatePath = path.join(this.templatesDir, `${language}.${language === 'javascript' ? 'js' : language === 'python' ? 'py' : language === 'java' ? 'java' : 'cpp'}`);
-    let template = '';
-    
-    try {
-      template = await fs.readFile(templatePath, 'utf8');
-    } catch (err) {
-      // Use default template if specific language template not found
-      template = await fs.readFile(path.join(this.templatesDir, 'javascript.js'), 'utf8');
+    if (validatedSignature) {
+      metadata.signature = validatedSignature;
     }
 
-    const solution = template
-      .replace(/{{PROBLEM_NAME}}/g, name)
-      .replace(/{{DIFFICULTY}}/g, difficulty)
-      .replace(/{{TAGS}}/g, tags.join(', '));
+    if (validatedInteractor) {
+      metadata.interactor = validatedInteractor;
+    }
 
-    const solutionFile = `solution.${language === 'javascript' ? 'js' : language === 'python' ? 'py' : language === 'java' ? 'java' : 'cpp'}`;
-    await fs.writeFile(path.join(problemDir, solutionFile), solution);
+    const solutionFile = `solution.${extension}`;
 
-    // Create test cases file
-    const testCases = {
-      sample: {
-        input: sampleInput,
-        expected: sampleOutput
-      },
-      custom: []
-    };
+    // A half-written directory would show up as a broken problem
+    try {
+      await fs.writeFile(
+        path.join(problemDir, 'metadata.json'),
+        JSON.stringify(metadata, null, 2)
+      );
+
+      // Create solution file
+      const solution = await this.renderSolution(language, metadata);
+      await fs.writeFile(path.join(problemDir, solutionFile), solution);
+
+      // Create test cases file
+      const testCases = { nextId: 0, cases: [] };
+      if (sampleInput) {
+        testCases.cases.push(this.testCaseStore.createCase('sample', {
+          input: sampleInput,
+          expected: sampleOutput,
+          label: 'Sample',
+          sample: true
+        }));
+      }
     
-    await fs.writeFile(
-      path.join(problemDir, 'test-cases.json'),
-      JSON.stringify(testCases, null, 2)
-    );
+      await this.testCaseStore.save(problemDir, testCases);
+    } catch (err) {
+      await fs.rm(problemDir, { recursive: true, force: true });
+      throw new Error(`Failed to create problem: ${err.message}`);
+    }
 
     return {
       problemId,
@@ -193,7 +157,8 @@ int main() {
     };
   }
 
-  async getProblems() {
+  // Archived problems are listed only when `archived` is true
+  async getProblems({ archived = false } = {}) {
     try {
       const dirs = await fs.readdir(this.workspaceDir);
       const problems = [];
@@ -202,7 +167,7 @@ int main() {
         const metadataPath = path.join(this.workspaceDir, dir, 'metadata.json');
         try {
           const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
-          problems.push(metadata);
+          if (Boolean(metadata.archived) === archived) problems.push(metadata);
         } catch (err) {
           // Skip invalid directories
         }
@@ -215,22 +180,84 @@ int main() {
   }
 
   async getProblem(problemId) {
-    const problemDir = path.join(this.workspaceDir, problemId);
+    const problemDir = this.getProblemDir(problemId);
     const metadataPath = path.join(problemDir, 'metadata.json');
     
     try {
       const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
-      const testCasesPath = path.join(problemDir, 'test-cases.json');
-      const testCases = JSON.parse(await fs.readFile(testCasesPath, 'utf8'));
+      const testCases = await this.testCaseStore.list(problemDir);
+      const solutions = await this.listSolutions(problemId);
       
-      return { metadata, testCases };
+      return { metadata, testCases, solutions };
     } catch (err) {
       throw new Error(`Problem ${problemId} not found`);
     }
   }
 
+  // Languages the problem has a solution file for, in registry order
+  async listSolutions(problemId) {
+    const problemDir = this.getProblemDir(problemId);
+    const solutions = [];
+
+    for (const language of this.languages.list()) {
+      const fileName = `solution.${language.extension}`;
+      try {
+        const stats = await fs.stat(path.join(problemDir, fileName));
+        solutions.push({ language: language.id, name: language.name, fileName, updatedAt: stats.mtime.toISOString() });
+      } catch (err) {
+        // No solution in this language
+      }
+    }
+
+    return solutions;
+  }
+
+  // Starts a solution in another language from that language's template
+  async addSolution(problemId, language) {
+    const { extension } = this.languages.get(language);
+    const problemDir = await this.findProblemDir(problemId);
+    const fileName = `solution.${extension}`;
+
+    const metadata = JSON.parse(await fs.readFile(path.join(problemDir, 'metadata.json'), 'utf8'));
+    const solution = await this.renderSolution(language, metadata);
+
+    try {
+      await fs.writeFile(path.join(problemDir, fileName), solution, { flag: 'wx' });
+    } catch (err) {
+      if (err.code === 'EEXIST') {
+        throw new Error(`Problem ${problemId} already has a ${language} solution`);
+      }
+      throw new Error(`Failed to add ${language} solution: ${err.message}`);
+    }
+
+    return { language, fileName };
+  }
+
+  // Function-mode problems get a stub for their signature; the others start
+  // from the language template
+  async renderSolution(language, { name, difficulty, tags = [], signature = null }) {
+    const { extension } = this.languages.get(language);
+    let template = '';
+
+    if (signature) {
+      template = this.functionDriver.generateStub(language, signature);
+    } else {
+      try {
+        template = await fs.readFile(path.join(this.templatesDir, `${language}.${extension}`), 'utf8');
+      } catch (err) {
+        // Use default template if specific language template not found
+        template = await fs.readFile(path.join(this.templatesDir, 'javascript.js'), 'utf8');
+      }
+    }
+
+    return template
+      .replace(/{{PROBLEM_NAME}}/g, name)
+      .replace(/{{DIFFICULTY}}/g, difficulty)
+      .replace(/{{TAGS}}/g, tags.join(', '));
+  }
+
   async updateProblemStatus(problemId, status) {
-    const problemDir = path.join(this.workspaceDir, problemId);
+    const problemDir = this.getProblemDir(problemId);
     const metadataPath = path.join(problemDir, 'metadata.json');
     
     try {
@@ -244,6 +271,386 @@ int main() {
       throw new Error(`Failed to update problem ${problemId}`);
     }
   }
+
+  // Creates a problem from a Kattis or Polygon package, or from an archive
+  // made by exportProblem. `source` is a zip buffer or a directory inside the
+  // import root; `language` picks the solution template for judge packages.
+  async importPackage(source, { language = 'javascript' } = {}) {
+    if (!Buffer.isBuffer(source) && (typeof source !== 'string' || !source.trim())) {
+      throw new Error('A zip archive or a directory is required');
+    }
+    const files = Buffer.isBuffer(source)
+      ? this.problemPackages.unzip(source)
+      : await this.problemPackages.readDirectory(await this.importRoot.resolve(source));
+    const problemPackage = this.problemPackages.read(files);
+
+    if (problemPackage.format === 'toolkit') {
+      return this.importExportedProblem(problemPackage);
+    }
+
+    const { problemId, problemDir, metadata } = await this.createProblem({
+      name: problemPackage.name,
+      description: problemPackage.description,
+      tags: problemPackage.tags,
+      language,
+      ...problemPackage.limits,
+      checker: problemPackage.checker
+    });
+
+    try {
+      for (const [fileName, data] of problemPackage.checkerFiles) {
+        await fs.writeFile(path.join(problemDir, fileName), data);
+      }
+      const cases = await this.testCaseStore.importCases(problemDir, problemPackage.cases);
+      metadata.source = { format: problemPackage.format, importedAt: new Date().toISOString() };
+      await fs.writeFile(path.join(problemDir, 'metadata.json'), JSON.stringify(metadata, null, 2));
+
+      return { problemId, format: problemPackage.format, metadata, testCases: cases.length, warnings: problemPackage.warnings };
+    } catch (err) {
+      await fs.rm(problemDir, { recursive: true, force: true });
+      throw new Error(`Failed to import problem: ${err.message}`);
+    }
+  }
+
+  // The archive's settings are validated like a new problem's, and it gets a
+  // fresh id and status
+  async importExportedProblem({ metadata, files, warnings }) {
+    if (typeof metadata.name !== 'string' || !metadata.name.trim()) {
+      throw new Error('Invalid toolkit package: metadata.json has no problem name');
+    }
+
+    const imported = {
+      ...metadata,
+      limits: this.validateLimits(metadata.limits || {}),
+      checker: this.outputChecker.validate(metadata.checker || {}),
+      mode: metadata.mode || 'stdin',
+      status: 'unsolved',
+      createdAt: new Date().toISOString(),
+      source: { format: 'toolkit', importedAt: new Date().toISOString() }
+    };
+    if (!PROBLEM_MODES.includes(imported.mode)) {
+      throw new Error(`Unknown problem mode: ${imported.mode}`);
+    }
+    if (imported.mode === 'function') {
+      imported.signature = this.functionDriver.validateSignature(metadata.signature || {});
+    }
+    if (imported.mode === 'interactive') {
+      imported.interactor = this.validateInteractor(metadata.interactor || {});
+    }
+    for (const key of ['archived', 'archivedAt', 'deletedAt', 'updatedAt']) {
+      delete imported[key];
+    }
+    if (!files.has('test-cases.json')) {
+      throw new Error('Invalid toolkit package: test-cases.json is missing');
+    }
+    try {
+      this.testCaseStore.parse(JSON.parse(files.get('test-cases.json').toString('utf8')));
+    } catch (err) {
+      throw new Error(`Invalid toolkit package: ${err.message}`);
+    }
+
+    imported.id = await this.problemIds.allocate(this.workspaceDir, metadata.name);
+    const problemDir = this.getProblemDir(imported.id);
+
+    try {
+      for (const [fileName, data] of files) {
+        const target = path.resolve(problemDir, fileName);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, data);
+      }
+      await fs.writeFile(path.join(problemDir, 'metadata.json'), JSON.stringify(imported, null, 2));
+
+      const { cases } = await this.testCaseStore.load(problemDir);
+      return { problemId: imported.id, format: 'toolkit', metadata: imported, testCases: cases.length, warnings };
+    } catch (err) {
+      await fs.rm(problemDir, { recursive: true, force: true });
+      throw new Error(`Failed to import problem: ${err.message}`);
+    }
+  }
+
+  // A zip of the problem's metadata, solutions, tests and checker files that
+  // importPackage reads back
+  async exportProblem(problemId) {
+    const problemDir = await this.findProblemDir(problemId);
+    try {
+      return { fileName: `${problemId}.zip`, buffer: await this.problemPackages.pack(problemDir, problemId) };
+    } catch (err) {
+      throw new Error(`Failed to export problem ${problemId}: ${err.message}`);
+    }
+  }
+
+  async setArchived(problemId, archived) {
+    if (typeof archived !== 'boolean') {
+      throw new Error('archived must be true or false');
+    }
+
+    const metadataPath = path.join(await this.findProblemDir(problemId), 'metadata.json');
+    try {
+      const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+      metadata.archived = archived;
+      if (archived) metadata.archivedAt = new Date().toISOString();
+      else delete metadata.archivedAt;
+      metadata.updatedAt = new Date().toISOString();
+
+      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+      return metadata;
+    } catch (err) {
+      throw new Error(`Failed to archive problem ${problemId}: ${err.message}`);
+    }
+  }
+
+  // Moves the problem directory to the id derived from the new name. Callers
+  // are responsible for anything else that refers to the old id.
+  async renameProblem(problemId, name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('A problem name is required');
+    }
+
+    const problemDir = await this.findProblemDir(problemId);
+    const newId = await this.problemIds.allocate(this.workspaceDir, name.trim(), problemId);
+    const newDir = this.getProblemDir(newId);
+
+    try {
+      // The claimed directory is empty; it only reserved the id
+      if (newId !== problemId) {
+        await fs.rmdir(newDir);
+        await fs.rename(problemDir, newDir);
+      }
+
+      const metadataPath = path.join(newDir, 'metadata.json');
+      const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+      metadata.id = newId;
+      metadata.name = name.trim();
+      metadata.updatedAt = new Date().toISOString();
+
+      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+      return { previousId: problemId, metadata };
+    } catch (err) {
+      throw new Error(`Failed to rename problem ${problemId}: ${err.message}`);
+    }
+  }
+
+  // Soft deletes move the problem to trash/<id>-<timestamp>, where it can be
+  // restored from; permanent ones remove it outright
+  async deleteProblem(problemId, { permanent = false } = {}) {
+    const problemDir = await this.findProblemDir(problemId);
+
+    try {
+      if (permanent) {
+        await fs.rm(problemDir, { recursive: true, force: true });
+        return { problemId, trashId: null };
+      }
+
+      const metadataPath = path.join(problemDir, 'metadata.json');
+      const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+      metadata.deletedAt = new Date().toISOString();
+      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+
+      const trashId = `${problemId}-${Date.now()}`;
+      await fs.rename(problemDir, path.join(this.trashDir, trashId));
+      return { problemId, trashId };
+    } catch (err) {
+      throw new Error(`Failed to delete problem ${problemId}: ${err.message}`);
+    }
+  }
+
+  // Newest deletions first
+  async listTrash() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.trashDir);
+    } catch (err) {
+      return [];
+    }
+
+    const problems = [];
+    for (const trashId of entries) {
+      try {
+        const metadata = JSON.parse(await fs.readFile(path.join(this.trashDir, trashId, 'metadata.json'), 'utf8'));
+        problems.push({ trashId, ...metadata });
+      } catch (err) {
+        // Skip invalid directories
+      }
+    }
+
+    return problems.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  }
+
+  // Puts a deleted problem back under its original id
+  async restoreProblem(trashId) {
+    const { id: problemId } = await this.findTrashEntry(trashId);
+    const problemDir = this.getProblemDir(problemId);
+
+    if (await this.exists(problemDir)) {
+      throw new Error(`A problem with id ${problemId} already exists; rename it before restoring`);
+    }
+
+    try {
+      await fs.rename(path.join(this.trashDir, trashId), problemDir);
+
+      const metadataPath = path.join(problemDir, 'metadata.json');
+      const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+      delete metadata.deletedAt;
+      metadata.updatedAt = new Date().toISOString();
+
+      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+      return metadata;
+    } catch (err) {
+      throw new Error(`Failed to restore problem ${problemId}: ${err.message}`);
+    }
+  }
+
+  async purgeTrash(trashId) {
+    await this.findTrashEntry(trashId);
+    await fs.rm(path.join(this.trashDir, trashId), { recursive: true, force: true });
+  }
+
+  // Only names read back from the trash directory are accepted
+  async findTrashEntry(trashId) {
+    const entry = (await this.listTrash()).find(problem => problem.trashId === trashId);
+    if (!entry) {
+      throw new Error(`Trash entry ${trashId} not found`);
+    }
+    return entry;
+  }
+
+  // A directory counts as a problem only if it has metadata.json
+  async findProblemDir(problemId) {
+    const problemDir = this.getProblemDir(problemId);
+    if (!await this.exists(path.join(problemDir, 'metadata.json'))) {
+      throw new Error(`Problem ${problemId} not found`);
+    }
+    return problemDir;
+  }
+
+  async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  getProblemDir(problemId) {
+    return this.problemIds.resolve(this.workspaceDir, problemId);
+  }
+
+  async updateProblemLimits(problemId, limits) {
+    const validated = this.validateLimits(limits);
+    const metadataPath = path.join(this.getProblemDir(problemId), 'metadata.json');
+    
+    try {
+      const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+      metadata.limits = { ...metadata.limits, ...validated };
+      metadata.updatedAt = new Date().toISOString();
+      
+      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+      return metadata;
+    } catch (err) {
+      throw new Error(`Failed to update limits for problem ${problemId}`);
+    }
+  }
+
+  async updateProblemChecker(problemId, checker) {
+    const validated = this.outputChecker.validate(checker);
+    const metadataPath = path.join(this.getProblemDir(problemId), 'metadata.json');
+    
+    try {
+      const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+      metadata.checker = validated;
+      metadata.updatedAt = new Date().toISOString();
+      
+      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+      return metadata;
+    } catch (err) {
+      throw new Error(`Failed to update checker for problem ${problemId}`);
+    }
+  }
+
+  async updateProblemInteractor(problemId, interactor) {
+    const validated = this.validateInteractor(interactor);
+    const metadataPath = path.join(this.getProblemDir(problemId), 'metadata.json');
+    
+    try {
+      const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+      metadata.mode = 'interactive';
+      metadata.interactor = validated;
+      metadata.updatedAt = new Date().toISOString();
+      
+      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+      return metadata;
+    } catch (err) {
+      throw new Error(`Failed to update interactor for problem ${problemId}`);
+    }
+  }
+
+  // Test cases join a subtask through their `group` field
+  async updateProblemSubtasks(problemId, subtasks) {
+    const validated = this.subtaskScorer.validate(subtasks);
+    const metadataPath = path.join(this.getProblemDir(problemId), 'metadata.json');
+    
+    try {
+      const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+      metadata.subtasks = validated;
+      metadata.updatedAt = new Date().toISOString();
+      
+      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+      return metadata;
+    } catch (err) {
+      throw new Error(`Failed to update subtasks for problem ${problemId}`);
+    }
+  }
+
+  // The interactor is a program inside the problem directory
+  validateInteractor(interactor) {
+    const { program, queryLimit } = interactor;
+
+    if (typeof program !== 'string' || !program.trim()) {
+      throw new Error('An interactive problem needs an interactor program file name');
+    }
+    if (program.includes('/') || program.includes('\\')) {
+      throw new Error('The interactor program must be a file inside the problem directory');
+    }
+
+    const validated = { program: program.trim() };
+    if (queryLimit !== undefined && queryLimit !== null && queryLimit !== '') {
+      const value = Number(queryLimit);
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error('queryLimit must be a positive integer');
+      }
+      validated.queryLimit = value;
+    }
+
+    return validated;
+  }
+
+  // Function-mode samples are a JSON argument list and a JSON return value
+  validateFunctionSample(signature, sampleInput, sampleOutput) {
+    if (!sampleInput) return;
+
+    try {
+      this.functionDriver.validateArgs(signature, JSON.parse(sampleInput));
+      JSON.parse(sampleOutput);
+    } catch (err) {
+      throw new Error(`Invalid function sample: ${err.message}`);
+    }
+  }
+
+  validateLimits(limits) {
+    const validated = {};
+
+    for (const key of ['timeLimit', 'memoryLimit', 'outputLimit']) {
+      if (limits[key] === undefined || limits[key] === null || limits[key] === '') continue;
+      const value = Number(limits[key]);
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`${key} must be a positive number`);
+      }
+      validated[key] = value;
+    }
+
+    return validated;
+  }
 }
 
 module.exports = ProblemWorkspace;
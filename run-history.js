@@ -0,0 +1,151 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Oldest runs are dropped beyond this
+const MAX_RUNS = 100;
+
+class RunHistory {
+  constructor() {
+    // Writes to the same runs.json are chained so parallel runs don't clobber each other
+    this.writes = new Map();
+  }
+
+  // Stores a finished run and returns it with the cases that passed in the
+  // previous run of the same language but fail now.
+  async record(problemDir, results) {
+    const historyPath = this.getHistoryPath(problemDir);
+
+    const write = (this.writes.get(historyPath) || Promise.resolve()).then(async () => {
+      const runs = await this.readRuns(problemDir);
+      const previous = runs.slice().reverse().find(run => run.language === results.language);
+
+      const run = {
+        id: crypto.randomBytes(6).toString('hex'),
+        timestamp: results.timestamp,
+        language: results.language,
+        sourceHash: results.sourceHash,
+        snapshotId: results.snapshotId || null,
+        verdict: results.verdict || null,
+        summary: {
+          passed: results.summary.passed,
+          failed: results.summary.failed,
+          total: results.summary.total
+        },
+        score: results.scoring ? { score: results.scoring.score, total: results.scoring.total } : null,
+        tests: results.tests.map(test => ({
+          testName: test.testName,
+          verdict: test.verdict,
+          passed: test.passed,
+          wallTime: test.wallTime,
+          cpuTime: test.cpuTime,
+          peakMemory: test.peakMemory
+        }))
+      };
+      run.previousRunId = previous ? previous.id : null;
+      run.regressions = previous ? this.findRegressions(previous, run) : [];
+
+      runs.push(run);
+      await fs.writeFile(historyPath, JSON.stringify(runs.slice(-MAX_RUNS), null, 2));
+      return run;
+    });
+
+    this.writes.set(historyPath, write.catch(() => {}));
+
+    try {
+      return await write;
+    } catch (err) {
+      throw new Error(`Failed to record test run: ${err.message}`);
+    }
+  }
+
+  // Newest first, without the per-test breakdown
+  async listRuns(problemDir, limit = MAX_RUNS) {
+    const runs = await this.readRuns(problemDir);
+    return runs
+      .slice(-limit)
+      .reverse()
+      .map(({ tests, ...run }) => run);
+  }
+
+  async getRun(problemDir, runId) {
+    const runs = await this.readRuns(problemDir);
+    const run = runs.find(entry => entry.id === runId);
+    if (!run) {
+      throw new Error(`Run ${runId} not found`);
+    }
+    return run;
+  }
+
+  // Compares two runs case by case. Without ids the latest run is compared
+  // with the one recorded before it.
+  async compareRuns(problemDir, fromId = null, toId = null) {
+    const runs = await this.readRuns(problemDir);
+    const to = toId ? runs.find(run => run.id === toId) : runs[runs.length - 1];
+    if (!to) {
+      throw new Error(toId ? `Run ${toId} not found` : 'No runs recorded yet');
+    }
+
+    const from = fromId
+      ? runs.find(run => run.id === fromId)
+      : runs[runs.indexOf(to) - 1];
+    if (!from) {
+      throw new Error(fromId ? `Run ${fromId} not found` : 'No earlier run to compare with');
+    }
+
+    const before = new Map(from.tests.map(test => [test.testName, test]));
+    const after = new Map(to.tests.map(test => [test.testName, test]));
+    const names = [...new Set([...before.keys(), ...after.keys()])];
+
+    const tests = names.map(testName => {
+      const oldTest = before.get(testName);
+      const newTest = after.get(testName);
+      let status = 'unchanged';
+
+      if (!oldTest) status = 'added';
+      else if (!newTest) status = 'removed';
+      else if (oldTest.passed && !newTest.passed) status = 'regressed';
+      else if (!oldTest.passed && newTest.passed) status = 'fixed';
+      else if (oldTest.verdict !== newTest.verdict) status = 'changed';
+
+      return {
+        testName,
+        status,
+        before: oldTest ? oldTest.verdict : null,
+        after: newTest ? newTest.verdict : null,
+        wallTimeChange: oldTest && newTest ? newTest.wallTime - oldTest.wallTime : null
+      };
+    });
+
+    return {
+      from: { id: from.id, timestamp: from.timestamp, language: from.language, sourceHash: from.sourceHash, summary: from.summary },
+      to: { id: to.id, timestamp: to.timestamp, language: to.language, sourceHash: to.sourceHash, summary: to.summary },
+      sourceChanged: from.sourceHash !== to.sourceHash,
+      tests
+    };
+  }
+
+  findRegressions(previous, run) {
+    const passedBefore = new Set(previous.tests.filter(test => test.passed).map(test => test.testName));
+    return run.tests
+      .filter(test => !test.passed && passedBefore.has(test.testName))
+      .map(test => test.testName);
+  }
+
+  async readRuns(problemDir) {
+    try {
+      return JSON.parse(await fs.readFile(this.getHistoryPath(problemDir), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw new Error(`Failed to read run history: ${err.message}`);
+    }
+  }
+
+  getHistoryPath(problemDir) {
+    return path.join(problemDir, 'runs.json');
+  }
+}
+
+module.exports = RunHistory;
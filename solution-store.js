@@ -0,0 +1,156 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const SNAPSHOTS_DIR = 'snapshots';
+
+// Oldest snapshots are dropped beyond this, per problem
+const MAX_SNAPSHOTS = 200;
+const MAX_SOURCE_LENGTH = 1024 * 1024;
+
+const SNAPSHOT_REASONS = ['save', 'test-run', 'restore'];
+
+// Reads and writes a problem's solution files and keeps timestamped copies
+// of them in snapshots/, indexed by snapshots/index.json. A snapshot is only
+// taken when the source differs from the latest one of the same language.
+class SolutionStore {
+  constructor() {
+    // Index updates for the same problem are chained so snapshots aren't lost
+    this.writes = new Map();
+  }
+
+  async read(solutionFile) {
+    try {
+      const [source, stats] = await Promise.all([
+        fs.readFile(solutionFile, 'utf8'),
+        fs.stat(solutionFile)
+      ]);
+      return {
+        fileName: path.basename(solutionFile),
+        source,
+        hash: this.hash(source),
+        updatedAt: stats.mtime.toISOString()
+      };
+    } catch (err) {
+      throw new Error(`Solution file not found: ${path.basename(solutionFile)}`);
+    }
+  }
+
+  async save(problemDir, language, solutionFile, source) {
+    if (typeof source !== 'string') {
+      throw new Error('Source must be a string');
+    }
+    if (source.length > MAX_SOURCE_LENGTH) {
+      throw new Error(`Source must be at most ${MAX_SOURCE_LENGTH} characters`);
+    }
+
+    await fs.writeFile(solutionFile, source);
+    const snapshot = await this.snapshot(problemDir, language, solutionFile, 'save');
+    return { ...await this.read(solutionFile), snapshot };
+  }
+
+  // Copies the current solution into the snapshots unless it is unchanged
+  // since the latest snapshot of its language, which is returned instead.
+  // Returns null when there is no solution file to copy.
+  async snapshot(problemDir, language, solutionFile, reason) {
+    if (!SNAPSHOT_REASONS.includes(reason)) {
+      throw new Error(`Unknown snapshot reason: ${reason}`);
+    }
+
+    let source;
+    try {
+      source = await fs.readFile(solutionFile, 'utf8');
+    } catch (err) {
+      return null;
+    }
+
+    return this.modify(problemDir, async (snapshots) => {
+      const hash = this.hash(source);
+      const latest = snapshots.slice().reverse().find(entry => entry.language === language);
+      if (latest && latest.hash === hash) return latest;
+
+      const id = crypto.randomBytes(6).toString('hex');
+      const snapshot = {
+        id,
+        language,
+        timestamp: new Date().toISOString(),
+        reason,
+        hash,
+        size: source.length,
+        file: `${SNAPSHOTS_DIR}/${id}${path.extname(solutionFile)}`
+      };
+
+      await fs.writeFile(path.join(problemDir, snapshot.file), source);
+      snapshots.push(snapshot);
+
+      for (const dropped of snapshots.splice(0, Math.max(0, snapshots.length - MAX_SNAPSHOTS))) {
+        await fs.rm(path.join(problemDir, dropped.file), { force: true });
+      }
+      return snapshot;
+    });
+  }
+
+  // Newest first
+  async list(problemDir, language = null) {
+    const snapshots = await this.readIndex(problemDir);
+    return snapshots
+      .filter(snapshot => !language || snapshot.language === language)
+      .reverse();
+  }
+
+  async get(problemDir, snapshotId) {
+    const snapshots = await this.readIndex(problemDir);
+    const snapshot = snapshots.find(entry => entry.id === snapshotId);
+    if (!snapshot) {
+      throw new Error(`Snapshot ${snapshotId} not found`);
+    }
+
+    try {
+      return { ...snapshot, source: await fs.readFile(path.join(problemDir, snapshot.file), 'utf8') };
+    } catch (err) {
+      throw new Error(`Failed to read snapshot ${snapshotId}: ${err.message}`);
+    }
+  }
+
+  async modify(problemDir, change) {
+    const indexPath = this.getIndexPath(problemDir);
+
+    const write = (this.writes.get(indexPath) || Promise.resolve()).then(async () => {
+      await fs.mkdir(path.join(problemDir, SNAPSHOTS_DIR), { recursive: true });
+      const snapshots = await this.readIndex(problemDir);
+      const result = await change(snapshots);
+      await fs.writeFile(indexPath, JSON.stringify(snapshots, null, 2));
+      return result;
+    });
+
+    this.writes.set(indexPath, write.catch(() => {}));
+
+    try {
+      return await write;
+    } catch (err) {
+      throw new Error(`Failed to record snapshot: ${err.message}`);
+    }
+  }
+
+  async readIndex(problemDir) {
+    try {
+      return JSON.parse(await fs.readFile(this.getIndexPath(problemDir), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw new Error(`Failed to read snapshots: ${err.message}`);
+    }
+  }
+
+  // Same digest as run history's sourceHash, so runs can be matched to snapshots
+  hash(source) {
+    return crypto.createHash('sha256').update(source).digest('hex').slice(0, 16);
+  }
+
+  getIndexPath(problemDir) {
+    return path.join(problemDir, SNAPSHOTS_DIR, 'index.json');
+  }
+}
+
+module.exports = SolutionStore;
@@ -0,0 +1,144 @@
+'use strict';
+
+// all: full points only when every test in the group is accepted
+// min: points scaled by the lowest test score, so partial credit counts
+const SCORING_RULES = ['all', 'min'];
+
+class SubtaskScorer {
+  // Checks a problem's subtask list: unique ids, non-negative points, known
+  // scoring rules and dependencies that exist and do not form a cycle.
+  validate(subtasks) {
+    if (!Array.isArray(subtasks)) {
+      throw new Error('Subtasks must be a list');
+    }
+
+    const validated = subtasks.map((subtask, i) => {
+      if (!subtask || typeof subtask !== 'object') {
+        throw new Error(`Subtask ${i + 1} must be an object`);
+      }
+
+      const id = typeof subtask.id === 'string' ? subtask.id.trim() : String(subtask.id ?? '');
+      if (!/^[\w-]+$/.test(id)) {
+        throw new Error(`Subtask ${i + 1} needs an id made of letters, digits, - or _`);
+      }
+
+      const points = Number(subtask.points);
+      if (!Number.isFinite(points) || points < 0) {
+        throw new Error(`Points of subtask ${id} must be a non-negative number`);
+      }
+
+      const scoring = subtask.scoring || 'all';
+      if (!SCORING_RULES.includes(scoring)) {
+        throw new Error(`Unknown scoring rule for subtask ${id}: ${scoring}`);
+      }
+
+      const dependencies = subtask.dependencies || [];
+      if (!Array.isArray(dependencies)) {
+        throw new Error(`Dependencies of subtask ${id} must be a list`);
+      }
+
+      return {
+        id,
+        name: typeof subtask.name === 'string' && subtask.name.trim() ? subtask.name.trim() : id,
+        points,
+        scoring,
+        dependencies: dependencies.map(String)
+      };
+    });
+
+    const ids = new Set();
+    for (const subtask of validated) {
+      if (ids.has(subtask.id)) {
+        throw new Error(`Duplicate subtask id: ${subtask.id}`);
+      }
+      ids.add(subtask.id);
+    }
+
+    for (const subtask of validated) {
+      for (const dependency of subtask.dependencies) {
+        if (!ids.has(dependency)) {
+          throw new Error(`Subtask ${subtask.id} depends on unknown subtask ${dependency}`);
+        }
+      }
+    }
+
+    this.orderByDependencies(validated);
+    return validated;
+  }
+
+  // Scores `tests` (harness results carrying their case's `group`) against the
+  // subtasks. A group only earns points once every group it depends on is
+  // fully solved.
+  score(subtasks, tests) {
+    const byGroup = new Map(subtasks.map(subtask => [subtask.id, []]));
+    for (const test of tests) {
+      if (byGroup.has(test.group)) byGroup.get(test.group).push(test);
+    }
+
+    const groups = new Map();
+    for (const subtask of this.orderByDependencies(subtasks)) {
+      const groupTests = byGroup.get(subtask.id);
+      const scores = groupTests.map(test => this.testScore(test));
+      const blockedBy = subtask.dependencies.filter(id => !groups.get(id).solved);
+
+      let fraction = 0;
+      if (scores.length > 0 && blockedBy.length === 0) {
+        fraction = subtask.scoring === 'min'
+          ? Math.min(...scores)
+          : (scores.every(score => score === 1) ? 1 : 0);
+      }
+
+      groups.set(subtask.id, {
+        id: subtask.id,
+        name: subtask.name,
+        scoring: subtask.scoring,
+        points: subtask.points,
+        score: subtask.points * fraction,
+        solved: fraction === 1,
+        passed: groupTests.filter(test => test.passed).length,
+        total: groupTests.length,
+        tests: groupTests.map(test => test.testName),
+        blockedBy
+      });
+    }
+
+    // Report in the order the subtasks were defined
+    const ordered = subtasks.map(subtask => groups.get(subtask.id));
+    return {
+      score: ordered.reduce((sum, group) => sum + group.score, 0),
+      total: ordered.reduce((sum, group) => sum + group.points, 0),
+      groups: ordered
+    };
+  }
+
+  testScore(test) {
+    if (typeof test.score === 'number') return test.score;
+    return test.passed ? 1 : 0;
+  }
+
+  // Dependencies first; throws on a cycle
+  orderByDependencies(subtasks) {
+    const byId = new Map(subtasks.map(subtask => [subtask.id, subtask]));
+    const state = new Map();
+    const ordered = [];
+
+    const visit = (subtask) => {
+      if (state.get(subtask.id) === 'done') return;
+      if (state.get(subtask.id) === 'visiting') {
+        throw new Error(`Subtask dependencies form a cycle through ${subtask.id}`);
+      }
+      state.set(subtask.id, 'visiting');
+      for (const dependency of subtask.dependencies) {
+        visit(byId.get(dependency));
+      }
+      state.set(subtask.id, 'done');
+      ordered.push(subtask);
+    };
+
+    subtasks.forEach(visit);
+    return ordered;
+  }
+}
+
+module.exports = SubtaskScorer;
+module.exports.SCORING_RULES = SCORING_RULES;
@@ -0,0 +1,361 @@
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const MAX_LABEL_LENGTH = 100;
+const MAX_NOTE_LENGTH = 2000;
+
+// Inputs or answers larger than this live in tests/NN.in and tests/NN.ans
+// instead of test-cases.json
+const TESTS_DIR = 'tests';
+const INLINE_LIMIT = 16 * 1024;
+const PREVIEW_LENGTH = 4096;
+
+// Answer files paired with NAME.in when importing
+const ANSWER_EXTENSIONS = ['.ans', '.out'];
+
+// Stems are joined onto the problem directory, so anything but tests/NN
+// could read or overwrite files outside it
+const FILE_STEM = /^tests\/\d+$/;
+
+// Reads and edits a problem's test-cases.json. Every case has a stable id
+// that survives edits and reordering, so run history can follow it. Large
+// cases keep only a `file` stem in the JSON and are read when they run.
+class TestCaseStore {
+  constructor() {
+    // Edits to the same file are chained so concurrent requests don't lose writes
+    this.writes = new Map();
+  }
+
+  async load(problemDir) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.getPath(problemDir), 'utf8'));
+    } catch (err) {
+      throw new Error(`Failed to read test cases: ${err.message}`);
+    }
+
+    return this.parse(data);
+  }
+
+  // Older problems store { sample, custom: [] }; they are read as a flat
+  // list with the ids the harness used to derive from positions.
+  parse(data) {
+    let parsed = data;
+    if (!Array.isArray(data.cases)) {
+      const cases = [];
+      if (data.sample && data.sample.input) {
+        cases.push(this.createCase('sample', { ...data.sample, sample: true, label: 'Sample' }));
+      }
+      (data.custom || []).forEach((testCase, i) => {
+        cases.push(this.createCase(`custom-${i}`, testCase));
+      });
+      parsed = { nextId: (data.custom || []).length, cases };
+    }
+
+    for (const testCase of parsed.cases) {
+      if (testCase.file && !FILE_STEM.test(testCase.file)) {
+        throw new Error(`Invalid file for test case ${testCase.id}: ${testCase.file}`);
+      }
+    }
+    return parsed;
+  }
+
+  async save(problemDir, data) {
+    await fs.writeFile(this.getPath(problemDir), JSON.stringify(data, null, 2));
+  }
+
+  // File-backed cases come with truncated previews and their full sizes
+  async list(problemDir) {
+    const { cases } = await this.load(problemDir);
+    return Promise.all(cases.map(async (testCase) => {
+      if (!testCase.file) return testCase;
+
+      const { input, expected } = await this.readData(problemDir, testCase);
+      return {
+        ...testCase,
+        input: this.preview(input),
+        expected: this.preview(expected),
+        size: { input: input.length, expected: expected.length }
+      };
+    }));
+  }
+
+  // Input and expected output of a case, wherever they are stored
+  async readData(problemDir, testCase) {
+    if (!testCase.file) {
+      return { input: testCase.input, expected: testCase.expected };
+    }
+
+    try {
+      const stem = path.join(problemDir, testCase.file);
+      const [input, expected] = await Promise.all([
+        fs.readFile(`${stem}.in`, 'utf8'),
+        fs.readFile(`${stem}.ans`, 'utf8')
+      ]);
+      return { input, expected };
+    } catch (err) {
+      throw new Error(`Failed to read test case ${testCase.id}: ${err.message}`);
+    }
+  }
+
+  preview(text) {
+    if (text.length <= PREVIEW_LENGTH) return text;
+    return `${text.slice(0, PREVIEW_LENGTH)}\n... (${text.length - PREVIEW_LENGTH} more characters)`;
+  }
+
+  // Appends a case, or inserts it at `position` when given
+  async add(problemDir, fields, position = null) {
+    return this.modify(problemDir, async (data) => {
+      const testCase = this.createCase(`custom-${data.nextId++}`, {});
+      await this.applyFields(problemDir, testCase, this.normalize(fields));
+      const index = position === null ? data.cases.length : Math.max(0, Math.min(position, data.cases.length));
+      data.cases.splice(index, 0, testCase);
+      return testCase;
+    });
+  }
+
+  async update(problemDir, id, fields) {
+    return this.modify(problemDir, async (data) => {
+      const testCase = this.findCase(data, id);
+      await this.applyFields(problemDir, testCase, this.normalize(fields, testCase));
+      return testCase;
+    });
+  }
+
+  async remove(problemDir, id) {
+    return this.modify(problemDir, async (data) => {
+      const testCase = this.findCase(data, id);
+      data.cases.splice(data.cases.indexOf(testCase), 1);
+      await this.removeFiles(problemDir, testCase);
+      return testCase;
+    });
+  }
+
+  // Places a copy right after the original
+  async duplicate(problemDir, id) {
+    return this.modify(problemDir, async (data) => {
+      const original = this.findCase(data, id);
+      const copy = this.createCase(`custom-${data.nextId++}`, {
+        ...original,
+        label: original.label ? `${original.label} (copy)`.slice(0, MAX_LABEL_LENGTH) : ''
+      });
+
+      if (original.file) {
+        copy.file = await this.allocateFile(problemDir);
+        await fs.copyFile(path.join(problemDir, `${original.file}.in`), path.join(problemDir, `${copy.file}.in`));
+        await fs.copyFile(path.join(problemDir, `${original.file}.ans`), path.join(problemDir, `${copy.file}.ans`));
+      }
+
+      data.cases.splice(data.cases.indexOf(original) + 1, 0, copy);
+      return copy;
+    });
+  }
+
+  // Adds NAME.in / NAME.ans (or NAME.out) pairs as file-backed cases labelled
+  // with their names. `files` maps file names to contents; inputs without an
+  // answer are skipped.
+  async importPairs(problemDir, files) {
+    const names = Object.keys(files).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const skipped = [];
+    const pairs = [];
+
+    for (const name of names) {
+      if (path.extname(name) !== '.in') continue;
+      const stem = name.slice(0, -'.in'.length);
+      const answer = ANSWER_EXTENSIONS.map(ext => `${stem}${ext}`).find(candidate => candidate in files);
+      if (answer) pairs.push({ stem, input: files[name], expected: files[answer] });
+      else skipped.push(name);
+    }
+
+    if (pairs.length === 0) {
+      throw new Error('No .in/.ans pairs found');
+    }
+
+    const imported = await this.modify(problemDir, async (data) => {
+      const added = [];
+      for (const pair of pairs) {
+        const testCase = this.createCase(`custom-${data.nextId++}`, {
+          label: path.basename(pair.stem).slice(0, MAX_LABEL_LENGTH)
+        });
+        await this.writeFiles(problemDir, testCase, pair.input, pair.expected);
+        data.cases.push(testCase);
+        added.push(testCase);
+      }
+      return added;
+    });
+
+    return { imported, skipped };
+  }
+
+  // Appends cases read from a problem package (`input`, `expected`, `label`,
+  // `sample`); large ones become file-backed like any other case
+  async importCases(problemDir, cases) {
+    return this.modify(problemDir, async (data) => {
+      const added = [];
+      for (const fields of cases) {
+        const testCase = this.createCase(`custom-${data.nextId++}`, {});
+        await this.applyFields(problemDir, testCase, this.normalize(fields));
+        data.cases.push(testCase);
+        added.push(testCase);
+      }
+      return added;
+    });
+  }
+
+  // `ids` must list every case exactly once
+  async reorder(problemDir, ids) {
+    return this.modify(problemDir, (data) => {
+      if (!Array.isArray(ids) || ids.length !== data.cases.length || new Set(ids).size !== ids.length) {
+        throw new Error('Order must list every test case exactly once');
+      }
+      data.cases = ids.map(id => this.findCase(data, id));
+      return data.cases;
+    });
+  }
+
+  // Runs `change` against the latest file contents and saves the result
+  async modify(problemDir, change) {
+    const filePath = this.getPath(problemDir);
+
+    const write = (this.writes.get(filePath) || Promise.resolve()).then(async () => {
+      const data = await this.load(problemDir);
+      const result = await change(data);
+      await this.save(problemDir, data);
+      return result;
+    });
+
+    this.writes.set(filePath, write.catch(() => {}));
+    return write;
+  }
+
+  findCase(data, id) {
+    const testCase = data.cases.find(entry => entry.id === id);
+    if (!testCase) {
+      throw new Error(`Test case ${id} not found`);
+    }
+    return testCase;
+  }
+
+  createCase(id, fields) {
+    const testCase = { id };
+
+    if (fields.file) {
+      testCase.file = fields.file;
+    } else {
+      testCase.input = fields.input || '';
+      testCase.expected = fields.expected || '';
+    }
+
+    return {
+      ...testCase,
+      label: fields.label || '',
+      note: fields.note || '',
+      sample: Boolean(fields.sample),
+      hidden: Boolean(fields.hidden),
+      group: fields.group || null
+    };
+  }
+
+  // Validates the editable fields. Fields left out keep their current
+  // values when `existing` is given.
+  normalize(fields = {}, existing = null) {
+    const normalized = {};
+
+    for (const key of ['input', 'expected']) {
+      if (fields[key] === undefined) {
+        if (!existing && key === 'input') throw new Error('Test input is required');
+        continue;
+      }
+      if (typeof fields[key] !== 'string') {
+        throw new Error(`${key} must be a string`);
+      }
+      normalized[key] = fields[key];
+    }
+
+    for (const [key, maxLength] of [['label', MAX_LABEL_LENGTH], ['note', MAX_NOTE_LENGTH]]) {
+      if (fields[key] === undefined || fields[key] === null) continue;
+      if (typeof fields[key] !== 'string') {
+        throw new Error(`${key} must be a string`);
+      }
+      if (fields[key].length > maxLength) {
+        throw new Error(`${key} must be at most ${maxLength} characters`);
+      }
+      normalized[key] = fields[key].trim();
+    }
+
+    for (const key of ['sample', 'hidden']) {
+      if (fields[key] === undefined) continue;
+      if (typeof fields[key] !== 'boolean') {
+        throw new Error(`${key} must be true or false`);
+      }
+      normalized[key] = fields[key];
+    }
+
+    // Subtask membership; null or an empty string leaves every group
+    if (fields.group !== undefined) {
+      if (fields.group !== null && typeof fields.group !== 'string') {
+        throw new Error('group must be a subtask id');
+      }
+      normalized.group = fields.group ? fields.group.trim() : null;
+    }
+
+    return normalized;
+  }
+
+  // Writes normalized fields into the case, moving its data to files once
+  // either side outgrows INLINE_LIMIT
+  async applyFields(problemDir, testCase, fields) {
+    const { input, expected, ...rest } = fields;
+    Object.assign(testCase, rest);
+    if (input === undefined && expected === undefined) return;
+
+    const current = await this.readData(problemDir, testCase);
+    const nextInput = input === undefined ? current.input : input;
+    const nextExpected = expected === undefined ? current.expected : expected;
+
+    if (testCase.file || nextInput.length > INLINE_LIMIT || nextExpected.length > INLINE_LIMIT) {
+      await this.writeFiles(problemDir, testCase, nextInput, nextExpected);
+    } else {
+      testCase.input = nextInput;
+      testCase.expected = nextExpected;
+    }
+  }
+
+  async writeFiles(problemDir, testCase, input, expected) {
+    if (!testCase.file) {
+      testCase.file = await this.allocateFile(problemDir);
+    }
+    await fs.writeFile(path.join(problemDir, `${testCase.file}.in`), input);
+    await fs.writeFile(path.join(problemDir, `${testCase.file}.ans`), expected);
+    delete testCase.input;
+    delete testCase.expected;
+  }
+
+  async removeFiles(problemDir, testCase) {
+    if (!testCase.file) return;
+    await fs.rm(path.join(problemDir, `${testCase.file}.in`), { force: true });
+    await fs.rm(path.join(problemDir, `${testCase.file}.ans`), { force: true });
+  }
+
+  // Next free tests/NN stem, numbered after the highest existing file
+  async allocateFile(problemDir) {
+    const testsDir = path.join(problemDir, TESTS_DIR);
+    await fs.mkdir(testsDir, { recursive: true });
+
+    const numbers = (await fs.readdir(testsDir))
+      .map(name => /^(\d+)\.(in|ans)$/.exec(name))
+      .filter(match => match)
+      .map(match => Number(match[1]));
+    const next = numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+
+    return `${TESTS_DIR}/${String(next).padStart(2, '0')}`;
+  }
+
+  getPath(problemDir) {
+    return path.join(problemDir, 'test-cases.json');
+  }
+}
+
+module.exports = TestCaseStore;
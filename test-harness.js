@@ -1,244 +1,1682 @@
 'use strict';
 
 const { spawn } = require('child_process');
+const AdmZip = require('adm-zip');
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const OutputChecker = require('./output-checker');
+const InputMinimizer = require('./input-minimizer');
+const FunctionDriver = require('./function-driver');
+const WorkerPool = require('./worker-pool');
+const TextDiff = require('./text-diff');
+const RunHistory = require('./run-history');
+const TestCaseStore = require('./test-case-store');
+const SubtaskScorer = require('./subtask-scorer');
+const ComplexityEstimator = require('./complexity-estimator');
+const LanguageRegistry = require('./language-registry');
+const SolutionStore = require('./solution-store');
+const ProblemIds = require('./problem-ids');
+const ImportRoot = require('./import-root');
+
+// Applied when a problem does not define its own limits
+const DEFAULT_LIMITS = {
+  timeLimit: 2000, // ms
+  memoryLimit: 256, // MB
+  outputLimit: 64 // MB
+};
+
+const VERDICTS = {
+  AC: 'Accepted',
+  WA: 'Wrong Answer',
+  TLE: 'Time Limit Exceeded',
+  MLE: 'Memory Limit Exceeded',
+  RE: 'Runtime Error',
+  OLE: 'Output Limit Exceeded',
+  QLE: 'Query Limit Exceeded',
+  PC: 'Partially Correct',
+  CANCELLED: 'Cancelled',
+  CE: 'Compilation Error'
+};
+
+// Compilers, checkers, generators and reference solutions get more room
+// than the solutions under test
+const TOOL_LIMITS = {
+  timeLimit: 30000,
+  memoryLimit: 2048,
+  outputLimit: 4
+};
+
+class CompilationError extends Error {
+  constructor(output, diagnostics) {
+    super('Compilation failed');
+    this.name = 'CompilationError';
+    this.output = output;
+    this.diagnostics = diagnostics;
+  }
+}
+
+const DEFAULT_STRESS_ITERATIONS = 100;
+const DEFAULT_STRESS_TIMEOUT = 60000; // ms
+
+// Shared by every run so simultaneous requests cannot oversubscribe the machine
+const DEFAULT_CONCURRENCY = Number(process.env.TEST_CONCURRENCY) || os.cpus().length;
+
+// Upper bound for runs of each case when checking for flakiness
+const MAX_REPEAT = 50;
+
+const DEFAULT_COMPLEXITY_SIZES = [100, 200, 500, 1000, 2000, 5000, 10000, 20000, 50000, 100000];
+const DEFAULT_COMPLEXITY_REPEATS = 3;
+const DEFAULT_COMPLEXITY_TIMEOUT = 120000; // ms
+
+// Custom checkers exit with this code and print a score in [0, 1] to award
+// partial credit, as testlib's quitp does
+const PARTIAL_SCORE_EXIT_CODE = 7;
+
+// Checkers imported from judge packages keep their own calling conventions.
+// testlib checkers (Polygon) take `<input> <output> <answer>` and exit 2 for
+// presentation errors. Kattis output validators read the output on stdin,
+// take `<input> <answer> <feedback dir>` and exit 42 to accept, 43 to reject.
+const TESTLIB_PRESENTATION_ERROR_EXIT_CODE = 2;
+const KATTIS_ACCEPT_EXIT_CODE = 42;
+const KATTIS_REJECT_EXIT_CODE = 43;
+
+const DEFAULT_QUERY_LIMIT = 10000;
+const MAX_TRANSCRIPT_LENGTH = 10000;
+
+const USAGE_POLL_INTERVAL = 10; // ms
+const CLOCK_TICKS_PER_SECOND = 100;
+const MAX_STDERR_LENGTH = 64 * 1024;
 
 class TestHarness {
   constructor() {
     this.workspaceDir = path.join(__dirname, '..', 'workspace');
+    this.builds = new Map();
+    this.outputChecker = new OutputChecker();
+    this.inputMinimizer = new InputMinimizer();
+    this.functionDriver = new FunctionDriver();
+    this.textDiff = new TextDiff();
+    this.runHistory = new RunHistory();
+    this.testCaseStore = new TestCaseStore();
+    this.subtaskScorer = new SubtaskScorer();
+    this.complexityEstimator = new ComplexityEstimator();
+    this.languages = new LanguageRegistry();
+    this.solutionStore = new SolutionStore();
+    this.problemIds = new ProblemIds();
+    this.importRoot = new ImportRoot();
+    this.pool = new WorkerPool(DEFAULT_CONCURRENCY);
+  }
+
+  async init() {
+    await this.languages.load();
+  }
+
+  // Languages with whether their toolchain is installed
+  async getLanguages() {
+    return this.languages.probe();
   }
 
-  async runTests(problemId, language = 'javascript') {
+  // Options: `onProgress` is called with { type: 'start' | 'finish', ... } as
+  // each test starts and finishes, and aborting `signal` kills the running
+  // tests and skips the rest. Up to `concurrency` tests of this run share the
+  // harness-wide pool at once; results keep the test case order regardless.
+  async runTests(problemId, language = 'javascript', options = {}) {
+    const { onProgress = () => {}, signal = null } = options;
+    const concurrency = Math.min(Math.max(1, Math.floor(options.concurrency) || this.pool.concurrency), this.pool.concurrency);
+    const repeat = Math.min(Math.max(1, Math.floor(options.repeat) || 1), MAX_REPEAT);
+
     try {
-      const problemDir = path.join(this.workspaceDir, problemId);
-      const testCasesPath = path.join(problemDir, 'test-cases.json');
-      const testCases = JSON.parse(await fs.readFile(testCasesPath, 'utf8'));
+      const problemDir = this.getProblemDir(problemId);
+      const settings = { ...await this.loadSettings(problemDir), signal };
+      const cases = this.listTestCases(await this.testCaseStore.load(problemDir));
+      const snapshot = await this.solutionStore.snapshot(problemDir, language, this.getSolutionFile(problemDir, language), 'test-run');
       
       const results = {
         problemId,
         language,
+        limits: settings.limits,
+        checker: settings.checker,
+        concurrency,
+        repeat,
+        sourceHash: snapshot ? snapshot.hash : null,
+        snapshotId: snapshot ? snapshot.id : null,
         timestamp: new Date().toISOString(),
         tests: [],
         summary: { passed: 0, failed: 0, total: 0 }
       };
 
-      // Run sample test case
-      if (testCases.sample.input) {
-        const sampleResult = await this.runSingleTest(
-          problemDir,
-          language,
-          testCases.sample.input,
-          testCases.sample.expected,
-          'sample'
-        );
-        results.tests.push(sampleResult);
-        results.summary.total++;
-        if (sampleResult.passed) results.summary.passed++;
-        else results.summary.failed++;
+      // Compile once up front so a broken build is reported as a single verdict
+      try {
+        await this.prepareSolution(problemDir, language, settings);
+      } catch (err) {
+        if (!(err instanceof CompilationError)) throw err;
+        results.verdict = 'CE';
+        results.compilation = { output: err.output, diagnostics: err.diagnostics };
+        return await this.recordRun(problemDir, results);
       }
 
-      // Run custom test cases
-      for (let i = 0; i < testCases.custom.length; i++) {
-        const testCase = testCases.custom[i];
-        const customResult = await this.runSingleTest(
+      const outcomes = new Array(cases.length).fill(null);
+      let nextIndex = 0;
+
+      const runCase = (i) => this.pool.run(async () => {
+        if (signal && signal.aborted) return;
+
+        const testCase = cases[i];
+        onProgress({ type: 'start', index: i, total: cases.length, testName: testCase.name });
+
+        // File-backed cases are only read once a slot is free
+        const { input, expected } = await this.testCaseStore.readData(problemDir, testCase);
+        const result = await this.runRepeatedTest(
           problemDir,
           language,
-          testCase.input,
-          testCase.expected,
-          `custom-${i}`
+          input,
+          expected,
+          testCase.name,
+          settings,
+          repeat
         );
-        results.tests.push(customResult);
+        if (result.verdict === 'CANCELLED') return;
+        result.label = testCase.label;
+        result.hidden = testCase.hidden;
+        result.group = testCase.group;
+
+        outcomes[i] = result;
+        onProgress({ type: 'finish', index: i, total: cases.length, test: result });
+      });
+
+      // Each lane keeps one test of this run queued or running in the pool
+      const lane = async () => {
+        while (nextIndex < cases.length && !(signal && signal.aborted)) {
+          await runCase(nextIndex++);
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(concurrency, cases.length) }, lane));
+
+      if (signal && signal.aborted) {
+        results.cancelled = true;
+      }
+
+      for (const result of outcomes) {
+        if (!result) continue;
+        results.tests.push(result);
         results.summary.total++;
-        if (customResult.passed) results.summary.passed++;
+        if (result.passed) results.summary.passed++;
         else results.summary.failed++;
       }
 
-      return results;
+      Object.assign(results.summary, this.summarizeUsage(results.tests));
+
+      if (repeat > 1) {
+        results.flaky = results.tests.filter(test => test.flaky).map(test => test.testName);
+      }
+
+      // A cancelled run is missing tests, so it cannot be scored
+      if (settings.subtasks.length > 0 && !results.cancelled) {
+        results.scoring = this.subtaskScorer.score(settings.subtasks, results.tests);
+      }
+
+      return await this.recordRun(problemDir, results);
     } catch (err) {
       throw new Error(`Test execution failed: ${err.message}`);
     }
   }
 
-  async runSingleTest(problemDir, language, input, expected, testName) {
+  // Cancelled runs are partial, so only complete runs go into the history
+  async recordRun(problemDir, results) {
+    if (results.cancelled) return results;
+
+    const run = await this.runHistory.record(problemDir, results);
+    results.runId = run.id;
+    results.regressions = run.regressions;
+    return results;
+  }
+
+  // Runs the test suite against each language's solution in turn, so their
+  // timings don't compete, and lines up verdicts and timings per test
+  async compareLanguages(problemId, languages, options = {}) {
+    if (!Array.isArray(languages) || languages.length === 0) {
+      throw new Error('Choose at least one language to test');
+    }
+    languages.forEach(language => this.languages.get(language));
+
+    // Progress counts every language's tests as one run
+    const { signal = null, onProgress = null } = options;
+    const runs = [];
+    for (const [i, language] of languages.entries()) {
+      if (signal && signal.aborted) break;
+      try {
+        runs.push(await this.runTests(problemId, language, {
+          ...options,
+          onProgress: onProgress && ((event) => onProgress({
+            ...event,
+            language,
+            index: i * event.total + event.index,
+            total: event.total * languages.length
+          }))
+        }));
+      } catch (err) {
+        runs.push({ language, error: err.message });
+      }
+    }
+
+    const summaries = runs.map(run => {
+      if (run.error) return { language: run.language, verdict: null, error: run.error };
+
+      const failing = run.tests.find(test => !test.passed);
+      const verdict = run.verdict || (failing ? failing.verdict : 'AC');
+      return {
+        language: run.language,
+        verdict,
+        verdictLabel: VERDICTS[verdict],
+        summary: run.summary,
+        totalWallTime: run.tests.reduce((sum, test) => sum + (test.wallTime || 0), 0),
+        runId: run.runId || null,
+        snapshotId: run.snapshotId
+      };
+    });
+
+    // One row per test case, in the order the runs reported them
+    const rows = new Map();
+    for (const run of runs) {
+      for (const test of run.tests || []) {
+        if (!rows.has(test.testName)) {
+          rows.set(test.testName, { testName: test.testName, label: test.label || null, results: {} });
+        }
+        rows.get(test.testName).results[run.language] = {
+          verdict: test.verdict,
+          wallTime: test.wallTime,
+          cpuTime: test.cpuTime,
+          peakMemory: test.peakMemory
+        };
+      }
+    }
+
+    const accepted = summaries.filter(summary => summary.verdict === 'AC');
+    const fastest = accepted.reduce((best, summary) => (!best || summary.totalWallTime < best.totalWallTime ? summary : best), null);
+
+    return {
+      problemId,
+      languages: summaries,
+      tests: [...rows.values()],
+      fastest: fastest ? fastest.language : null,
+      cancelled: Boolean(signal && signal.aborted)
+    };
+  }
+
+  async getSolution(problemId, language) {
+    const solutionFile = this.getSolutionFile(this.getProblemDir(problemId), language);
+    return { language, ...await this.solutionStore.read(solutionFile) };
+  }
+
+  async saveSolution(problemId, language, source) {
+    const problemDir = this.getProblemDir(problemId);
+    try {
+      await fs.access(path.join(problemDir, 'metadata.json'));
+    } catch (err) {
+      throw new Error(`Problem ${problemId} not found`);
+    }
+    const saved = await this.solutionStore.save(problemDir, language, this.getSolutionFile(problemDir, language), source);
+    return { language, ...saved };
+  }
+
+  async listSnapshots(problemId, language = null) {
+    return this.solutionStore.list(this.getProblemDir(problemId), language);
+  }
+
+  async getSnapshot(problemId, snapshotId) {
+    return this.solutionStore.get(this.getProblemDir(problemId), snapshotId);
+  }
+
+  // Writes a snapshot back as the solution of its language
+  async restoreSnapshot(problemId, snapshotId) {
+    const problemDir = this.getProblemDir(problemId);
+    const snapshot = await this.solutionStore.get(problemDir, snapshotId);
+    const solutionFile = this.getSolutionFile(problemDir, snapshot.language);
+    await fs.writeFile(solutionFile, snapshot.source);
+    const current = await this.solutionStore.snapshot(problemDir, snapshot.language, solutionFile, 'restore');
+    return { language: snapshot.language, restoredFrom: snapshotId, ...await this.solutionStore.read(solutionFile), snapshot: current };
+  }
+
+  // Side-by-side diff of two snapshots; without `toId` the snapshot is
+  // compared with the current solution of its language
+  async compareSnapshots(problemId, fromId, toId = null) {
+    if (!fromId) {
+      throw new Error('Choose a snapshot to compare');
+    }
+
+    const problemDir = this.getProblemDir(problemId);
+    const from = await this.solutionStore.get(problemDir, fromId);
+    const to = toId
+      ? await this.solutionStore.get(problemDir, toId)
+      : { id: null, language: from.language, ...await this.solutionStore.read(this.getSolutionFile(problemDir, from.language)) };
+
+    const diff = this.textDiff.diffLines(from.source, to.source);
+    const describe = ({ source, ...snapshot }) => snapshot;
+    return {
+      from: describe(from),
+      to: describe(to),
+      identical: diff.identical,
+      truncated: diff.truncated,
+      hunks: this.textDiff.sideBySide(diff.hunks)
+    };
+  }
+
+  async listRuns(problemId, limit) {
+    return this.runHistory.listRuns(this.getProblemDir(problemId), limit);
+  }
+
+  async getRun(problemId, runId) {
+    return this.runHistory.getRun(this.getProblemDir(problemId), runId);
+  }
+
+  async compareRuns(problemId, fromId, toId) {
+    return this.runHistory.compareRuns(this.getProblemDir(problemId), fromId, toId);
+  }
+
+  // Runs the solution once on the given stdin and reports what it printed,
+  // leaving the test cases alone. Function-mode problems take the JSON
+  // argument list instead.
+  async scratchRun(problemId, language = 'javascript', input = '') {
+    if (typeof input !== 'string') {
+      throw new Error('Input must be a string');
+    }
+
+    const problemDir = this.getProblemDir(problemId);
+    const settings = await this.loadSettings(problemDir);
     const solutionFile = this.getSolutionFile(problemDir, language);
-    
     try {
-      const output = await this.executeCode(solutionFile, language, input);
-      const passed = this.compareOutput(output.trim(), expected.trim());
-      
+      await fs.access(solutionFile);
+    } catch (err) {
+      throw new Error(`Solution file not found: ${path.basename(solutionFile)}`);
+    }
+
+    try {
+      await this.prepareSolution(problemDir, language, settings);
+    } catch (err) {
+      if (!(err instanceof CompilationError)) throw err;
       return {
+        language,
+        verdict: 'CE',
+        verdictLabel: VERDICTS.CE,
+        compilation: { output: err.output, diagnostics: err.diagnostics }
+      };
+    }
+
+    const execution = settings.signature
+      ? await this.executeFunction(solutionFile, language, settings.signature, input, settings.limits)
+      : await this.executeCode(solutionFile, language, input, settings.limits);
+
+    return {
+      language,
+      stdout: execution.stdout,
+      stderr: execution.stderr,
+      // What a function-mode solution printed besides its return value
+      output: execution.output || '',
+      exitCode: execution.exitCode,
+      verdict: execution.verdict,
+      verdictLabel: execution.verdict ? VERDICTS[execution.verdict] : null,
+      message: execution.message,
+      wallTime: execution.wallTime,
+      cpuTime: execution.cpuTime,
+      peakMemory: execution.peakMemory
+    };
+  }
+
+  // Feeds generated inputs to both the solution and a brute-force reference
+  // until their outputs disagree. The generator receives the seed as its only
+  // argument; the first failing input is saved as a custom test case.
+  async stressTest(problemId, options = {}) {
+    const { language = 'javascript', timeout = DEFAULT_STRESS_TIMEOUT } = options;
+
+    // Both may arrive as strings from JSON; a string seed would be concatenated
+    const iterations = Number(options.iterations ?? DEFAULT_STRESS_ITERATIONS);
+    const seed = Number(options.seed ?? Date.now() % 1000000000);
+    if (!Number.isInteger(iterations) || iterations < 1) {
+      throw new Error('iterations must be a positive integer');
+    }
+    if (!Number.isSafeInteger(seed)) {
+      throw new Error('seed must be an integer');
+    }
+
+    const problemDir = this.getProblemDir(problemId);
+    const settings = await this.loadSettings(problemDir);
+    const generator = await this.prepareHelper(problemDir, 'gen');
+    const brute = await this.prepareHelper(problemDir, 'brute');
+    await this.prepareSolution(problemDir, language, settings);
+
+    const startedAt = Date.now();
+    let iteration = 0;
+
+    while (iteration < iterations && Date.now() - startedAt < timeout) {
+      const currentSeed = seed + iteration;
+      iteration++;
+
+      const generated = await this.runHelper(generator, [String(currentSeed)], '');
+      const reference = await this.runHelper(brute, [], generated.stdout);
+      const result = await this.runSingleTest(
+        problemDir,
+        language,
+        generated.stdout,
+        reference.stdout,
+        `stress-${currentSeed}`,
+        settings
+      );
+
+      if (!result.passed) {
+        const testCase = await this.addTestCase(problemId, generated.stdout, reference.stdout.trim(), {
+          label: `Stress seed ${currentSeed}`
+        });
+        return {
+          found: true,
+          iterations: iteration,
+          seed: currentSeed,
+          test: this.buildTestDetail(result),
+          testCase
+        };
+      }
+    }
+
+    return { found: false, iterations: iteration };
+  }
+
+  // Shrinks the input of a failing test. With a brute.* reference in the
+  // problem directory the failure is judged against the reference output of
+  // every candidate and the result is saved as a test case. Otherwise the
+  // candidate must reproduce the original verdict against the original
+  // expected output, which no longer fits the shrunk input, so it is only
+  // returned for review.
+  async minimizeTestCase(problemId, testName, options = {}) {
+    const { language = 'javascript', maxRuns, timeout } = options;
+    const problemDir = this.getProblemDir(problemId);
+    const stored = this.listTestCases(await this.testCaseStore.load(problemDir)).find(test => test.name === testName);
+
+    if (!stored) {
+      throw new Error(`Test case ${testName} not found`);
+    }
+
+    const testCase = { ...stored, ...await this.testCaseStore.readData(problemDir, stored) };
+
+    const settings = await this.loadSettings(problemDir);
+    await this.prepareSolution(problemDir, language, settings);
+
+    let brute = null;
+    try {
+      brute = await this.prepareHelper(problemDir, 'brute');
+    } catch (err) {
+      // No reference solution, compare against the stored expected output
+    }
+
+    const judge = async (input) => {
+      let expected = testCase.expected;
+      if (brute) {
+        const reference = await this.runProcess(brute.command, brute.args, {
+          cwd: brute.cwd,
+          input,
+          limits: TOOL_LIMITS
+        });
+        // Inputs the reference cannot handle are not valid inputs
+        if (reference.verdict) return null;
+        expected = reference.stdout.trim();
+      }
+      const result = await this.runSingleTest(problemDir, language, input, expected, testName, settings);
+      return { result, expected };
+    };
+
+    const original = await judge(testCase.input);
+    if (!original || original.result.passed) {
+      throw new Error(`Test case ${testName} does not fail`);
+    }
+
+    const outcomes = new Map();
+    const stillFails = async (candidate) => {
+      const outcome = await judge(candidate);
+      if (!outcome || outcome.result.passed) return false;
+      if (!brute && outcome.result.verdict !== original.result.verdict) return false;
+      outcomes.set(candidate, outcome);
+      return true;
+    };
+    // Function-mode inputs are JSON argument lists and shrink value by value
+    const { input, runs } = settings.signature
+      ? await this.inputMinimizer.minimizeJson(testCase.input, stillFails, { maxRuns, timeout })
+      : await this.inputMinimizer.minimize(testCase.input, stillFails, { maxRuns, timeout });
+
+    const minimized = outcomes.get(input) || original;
+    const saved = brute
+      ? await this.addTestCase(problemId, input, minimized.expected, {
+        label: `Minimized ${testCase.label || testName}`.slice(0, 100),
+        note: testCase.note
+      })
+      : null;
+
+    return {
+      mode: brute ? 'reference' : 'expected',
+      runs,
+      originalSize: testCase.input.length,
+      input,
+      expected: brute ? minimized.expected : null,
+      test: this.buildTestDetail(minimized.result),
+      testCase: saved
+    };
+  }
+
+  // Times the solution on generated inputs of increasing size and fits the
+  // growth curve. The generator receives the seed and the size n as its
+  // arguments. Sizes stop growing once a run fails, hits the time limit or
+  // the overall timeout runs out.
+  async estimateComplexity(problemId, options = {}) {
+    const {
+      language = 'javascript',
+      sizes = DEFAULT_COMPLEXITY_SIZES,
+      repeats = DEFAULT_COMPLEXITY_REPEATS,
+      timeout = DEFAULT_COMPLEXITY_TIMEOUT,
+      seed = 1
+    } = options;
+
+    if (!Array.isArray(sizes) || sizes.length === 0 || sizes.some(n => !Number.isInteger(n) || n < 1)) {
+      throw new Error('Sizes must be a list of positive integers');
+    }
+    if (!Number.isInteger(repeats) || repeats < 1) {
+      throw new Error('Repeats must be a positive integer');
+    }
+
+    const problemDir = this.getProblemDir(problemId);
+    const settings = await this.loadSettings(problemDir);
+    if (settings.interactor) {
+      throw new Error('Complexity estimation is not available for interactive problems');
+    }
+
+    const generator = await this.prepareHelper(problemDir, 'gen');
+    await this.prepareSolution(problemDir, language, settings);
+    const solutionFile = this.getSolutionFile(problemDir, language);
+
+    const startedAt = Date.now();
+    const points = [];
+    let stoppedAt = null;
+
+    for (const n of [...sizes].sort((a, b) => a - b)) {
+      if (Date.now() - startedAt >= timeout) {
+        stoppedAt = { n, reason: 'Timeout reached' };
+        break;
+      }
+
+      const generated = await this.runHelper(generator, [String(seed), String(n)], '');
+      const runs = [];
+      for (let i = 0; i < repeats; i++) {
+        const execution = settings.signature
+          ? await this.executeFunction(solutionFile, language, settings.signature, generated.stdout, settings.limits)
+          : await this.executeCode(solutionFile, language, generated.stdout, settings.limits);
+        if (execution.verdict) {
+          stoppedAt = { n, reason: execution.message };
+          break;
+        }
+        runs.push(execution);
+      }
+      if (stoppedAt) break;
+
+      // The median run is least disturbed by whatever else the machine does
+      const median = (key) => runs.map(run => run[key]).sort((a, b) => a - b)[Math.floor(runs.length / 2)];
+      points.push({
+        n,
+        inputSize: generated.stdout.length,
+        wallTime: median('wallTime'),
+        cpuTime: median('cpuTime'),
+        peakMemory: median('peakMemory')
+      });
+    }
+
+    if (points.length < 3 && stoppedAt) {
+      throw new Error(`Only ${points.length} sizes finished before n = ${stoppedAt.n}: ${stoppedAt.reason}`);
+    }
+
+    const fit = this.complexityEstimator.fit(points.map(point => ({ n: point.n, time: point.wallTime })));
+    return { language, estimate: fit.best, models: fit.models, points, stoppedAt };
+  }
+
+  // Names each case after its stable id, in run order
+  listTestCases(testCases) {
+    return testCases.cases.map(testCase => ({ name: testCase.id, ...testCase }));
+  }
+
+  // Locates and builds a helper program such as gen.py or brute.cpp
+  async prepareHelper(problemDir, stem) {
+    const files = await fs.readdir(problemDir);
+    const file = files.find(name => {
+      if (path.basename(name, path.extname(name)) !== stem) return false;
+      return Boolean(this.languages.findByExtension(path.extname(name).slice(1)));
+    });
+
+    if (!file) {
+      throw new Error(`No ${stem} program found in problem directory`);
+    }
+
+    return this.prepareTool(problemDir, file);
+  }
+
+  async prepareTool(problemDir, file) {
+    const toolFile = path.join(problemDir, file);
+    try {
+      const program = await this.prepareProgram(toolFile, this.getLanguageForFile(toolFile));
+      return { ...program, name: file, cwd: problemDir };
+    } catch (err) {
+      if (err instanceof CompilationError) {
+        throw new Error(`${file} failed to compile: ${err.output}`);
+      }
+      throw err;
+    }
+  }
+
+  async runHelper(helper, args, input) {
+    const result = await this.runProcess(helper.command, [...helper.args, ...args], {
+      cwd: helper.cwd,
+      input,
+      limits: TOOL_LIMITS
+    });
+
+    if (result.verdict) {
+      throw new Error(`${helper.name} failed: ${result.message}`);
+    }
+
+    return result;
+  }
+
+  // Runs a case `repeat` times. The first failing run stands for the case, so
+  // it only passes when every run does; runs that disagree on verdict or
+  // output mark it flaky.
+  async runRepeatedTest(problemDir, language, input, expected, testName, settings, repeat = 1) {
+    const runs = [];
+    for (let i = 0; i < repeat; i++) {
+      const run = await this.runSingleTest(problemDir, language, input, expected, testName, settings);
+      if (run.verdict === 'CANCELLED') return run;
+      runs.push(run);
+    }
+    if (repeat === 1) return runs[0];
+
+    const verdicts = {};
+    for (const run of runs) {
+      verdicts[run.verdict] = (verdicts[run.verdict] || 0) + 1;
+    }
+    const distinctOutputs = new Set(runs.map(run => run.actual)).size;
+
+    return {
+      ...(runs.find(run => !run.passed) || runs[0]),
+      flaky: Object.keys(verdicts).length > 1 || distinctOutputs > 1,
+      repeats: {
+        runs: runs.length,
+        verdicts,
+        distinctOutputs,
+        wallTime: this.describeSpread(runs.map(run => run.wallTime)),
+        cpuTime: this.describeSpread(runs.map(run => run.cpuTime))
+      }
+    };
+  }
+
+  // Spread of repeated timings; a high coefficient of variation (stdDev /
+  // mean) points at noise rather than a slow solution
+  describeSpread(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    const stdDev = Math.sqrt(variance);
+    return {
+      min: Math.min(...values),
+      max: Math.max(...values),
+      mean,
+      stdDev,
+      cv: mean > 0 ? stdDev / mean : 0
+    };
+  }
+
+  // Max/avg of the resources used across all tests, plus the slowest one
+  summarizeUsage(tests) {
+    const aggregate = (key) => {
+      const values = tests.map(test => test[key]).filter(value => typeof value === 'number');
+      if (values.length === 0) return { max: 0, avg: 0 };
+      return {
+        max: Math.max(...values),
+        avg: values.reduce((sum, value) => sum + value, 0) / values.length
+      };
+    };
+
+    const slowest = tests.reduce((max, test) => (!max || test.wallTime > max.wallTime ? test : max), null);
+
+    return {
+      wallTime: aggregate('wallTime'),
+      cpuTime: aggregate('cpuTime'),
+      peakMemory: aggregate('peakMemory'),
+      slowestTest: slowest ? slowest.testName : null
+    };
+  }
+
+  // Limits and checker configured in the problem's metadata
+  async loadSettings(problemDir) {
+    let metadata = {};
+    try {
+      metadata = JSON.parse(await fs.readFile(path.join(problemDir, 'metadata.json'), 'utf8'));
+    } catch (err) {
+      // Fall back to defaults
+    }
+
+    return {
+      limits: { ...DEFAULT_LIMITS, ...metadata.limits },
+      checker: metadata.checker || { type: 'exact' },
+      signature: metadata.mode === 'function' ? metadata.signature : null,
+      interactor: metadata.mode === 'interactive' ? metadata.interactor : null,
+      subtasks: metadata.subtasks || []
+    };
+  }
+
+  async runSingleTest(problemDir, language, input, expected, testName, settings = {}) {
+    const solutionFile = this.getSolutionFile(problemDir, language);
+    const limits = settings.limits || DEFAULT_LIMITS;
+    
+    try {
+      if (settings.interactor) {
+        return await this.runInteractiveTest(problemDir, language, input, expected, testName, settings);
+      }
+
+      const execution = settings.signature
+        ? await this.executeFunction(solutionFile, language, settings.signature, input, limits, settings.signal)
+        : await this.executeCode(solutionFile, language, input, limits, settings.signal);
+      const actual = execution.stdout.trim();
+      let verdict = execution.verdict;
+      let checkerMessage = null;
+      let score = null;
+
+      if (!verdict) {
+        const check = await this.checkOutput(problemDir, settings, { input, expected, actual: execution.stdout });
+        verdict = check.passed ? 'AC' : 'WA';
+        checkerMessage = check.message;
+        if (typeof check.score === 'number') {
+          score = check.score;
+          if (score > 0 && score < 1) verdict = 'PC';
+          else verdict = score === 1 ? 'AC' : 'WA';
+        }
+      }
+
+      const result = {
         testName,
         input,
         expected,
-        actual: output.trim(),
-        passed,
-        executionTime: Date.now()
+        actual,
+        verdict,
+        passed: verdict === 'AC',
+        wallTime: execution.wallTime,
+        cpuTime: execution.cpuTime,
+        peakMemory: execution.peakMemory
       };
+
+      if (execution.message) {
+        result.error = execution.message;
+      }
+
+      if (checkerMessage) {
+        result.checkerMessage = checkerMessage;
+      }
+
+      if (score !== null) {
+        result.score = score;
+      }
+
+      if (execution.output) {
+        result.output = execution.output;
+      }
+
+      return result;
     } catch (err) {
       return {
         testName,
         input,
         expected,
         actual: '',
+        verdict: 'RE',
         passed: false,
         error: err.message,
-        executionTime: Date.now()
+        wallTime: 0,
+        cpuTime: 0,
+        peakMemory: 0
       };
     }
   }
 
+  // Connects the solution to the problem's interactor. The interactor is run
+  // as `interactor <input> <answer>` with the test case written to those
+  // files, talks to the solution over stdin/stdout, and decides the verdict
+  // with its exit code: 0 accepts, 1 rejects.
+  async runInteractiveTest(problemDir, language, input, expected, testName, settings) {
+    const { limits, interactor: config } = settings;
+    const queryLimit = config.queryLimit || DEFAULT_QUERY_LIMIT;
+    const solution = await this.prepareSolution(problemDir, language, settings);
+    const interactor = await this.prepareTool(problemDir, config.program);
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'interactor-'));
+
+    try {
+      const inputFile = path.join(tempDir, 'input.txt');
+      const answerFile = path.join(tempDir, 'answer.txt');
+      await fs.writeFile(inputFile, input || '');
+      await fs.writeFile(answerFile, expected || '');
+
+      const solutionRun = this.startProcess(solution.command, solution.args, {
+        cwd: problemDir,
+        limits: { ...limits, queryLimit },
+        signal: settings.signal
+      });
+      // The interactor waits on the solution, so it must outlive its limit
+      const interactorRun = this.startProcess(interactor.command, [...interactor.args, inputFile, answerFile], {
+        cwd: problemDir,
+        limits: { ...TOOL_LIMITS, timeLimit: limits.timeLimit + TOOL_LIMITS.timeLimit },
+        signal: settings.signal
+      });
+
+      const startedAt = Date.now();
+      const transcript = [];
+      let queries = 0;
+
+      const record = (from, stream) => {
+        let pending = '';
+        const push = (text) => {
+          if (transcript.length < MAX_TRANSCRIPT_LENGTH) {
+            transcript.push({ from, time: Date.now() - startedAt, text });
+          }
+          if (from === 'solution' && ++queries > queryLimit) {
+            solutionRun.terminate('QLE');
+            interactorRun.terminate('QLE');
+          }
+        };
+
+        stream.on('data', (chunk) => {
+          pending += chunk.toString();
+          const lines = pending.split('\n');
+          pending = lines.pop();
+          lines.forEach(push);
+        });
+        stream.on('end', () => {
+          if (pending) push(pending);
+        });
+      };
+
+      solutionRun.child.stdout.on('data', (chunk) => interactorRun.child.stdin.write(chunk));
+      interactorRun.child.stdout.on('data', (chunk) => solutionRun.child.stdin.write(chunk));
+      record('solution', solutionRun.child.stdout);
+      record('interactor', interactorRun.child.stdout);
+      solutionRun.child.on('exit', () => interactorRun.child.stdin.end());
+      interactorRun.child.on('exit', () => solutionRun.child.stdin.end());
+
+      let solutionResult, interactorResult;
+      try {
+        [solutionResult, interactorResult] = await Promise.all([solutionRun.finished, interactorRun.finished]);
+      } catch (err) {
+        solutionRun.terminate('RE');
+        interactorRun.terminate('RE');
+        throw err;
+      }
+
+      const interactorMessage = interactorResult.stderr.trim() || null;
+      let verdict = solutionResult.verdict;
+      const message = solutionResult.message;
+
+      if (!verdict) {
+        if (interactorResult.exitCode === 0) {
+          verdict = 'AC';
+        } else if (interactorResult.exitCode === 1 && !interactorResult.signal) {
+          verdict = 'WA';
+        } else {
+          throw new Error(`Interactor failed: ${interactorResult.message}`);
+        }
+      }
+
+      const result = {
+        testName,
+        input,
+        expected,
+        actual: solutionResult.stdout.trim(),
+        verdict,
+        passed: verdict === 'AC',
+        wallTime: solutionResult.wallTime,
+        cpuTime: solutionResult.cpuTime,
+        peakMemory: solutionResult.peakMemory,
+        queries,
+        transcript
+      };
+
+      if (message) {
+        result.error = message;
+      }
+
+      if (interactorMessage) {
+        result.checkerMessage = interactorMessage;
+      }
+
+      return result;
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  getProblemDir(problemId) {
+    return this.problemIds.resolve(this.workspaceDir, problemId);
+  }
+
   getSolutionFile(problemDir, language) {
-    const extensions = {
-      javascript: 'js',
-      python: 'py',
-      java: 'java',
-      cpp: 'cpp'
-    };
-    
-    const ext = extensions[language] || 'js';
-    return path.join(problemDir, `solution.${ext}`);
+    const { extension } = this.languages.get(language);
+    return path.join(problemDir, `solution.${extension}`);
   }
 
-  async executeCode(solutionFile, language, input) {
-    return new Promise((resolve, reject) => {
-      let command, args;
-      
-      switch (language) {
-        case 'javascript':
-          command = 'node';
-          args = [solutionFile];
-          break;
-        case 'python':
-          command = 'python';
-          args = [solutionFile];
-          break;
-        case 'java':
-          // Compile first, then run
-          const className = path.basename(solutionFile, '.java');
-          const classFile = path.join(path.dirname(solutionFile), `${className}.class`);
-          command = 'java';
-          args = [className];
-          break;
-        case 'cpp':
-          // Compile first, then run
-          const executable = path.join(path.dirname(solutionFile), 'solution');
-          command = executable;
-          args = [];
-          break;
-        default:
-          reject(new Error(`Unsupported language: ${language}`));
-          return;
+  getLanguageForFile(file) {
+    const language = this.languages.findByExtension(path.extname(file).slice(1));
+    if (!language) {
+      throw new Error(`Cannot tell the language of ${path.basename(file)}`);
+    }
+    return language.id;
+  }
+
+  async executeCode(solutionFile, language, input, limits = {}, signal = null) {
+    const { command, args } = await this.prepareProgram(solutionFile, language);
+    return this.runProcess(command, args, {
+      cwd: path.dirname(solutionFile),
+      input,
+      limits,
+      signal
+    });
+  }
+
+  // Calls the function a problem declares through a generated driver. The
+  // input is the JSON argument list and the JSON return value takes the place
+  // of stdout; anything the solution printed itself is kept as `output`.
+  async executeFunction(solutionFile, language, signature, input, limits = {}, signal = null) {
+    let args;
+    try {
+      args = JSON.parse(input);
+    } catch (err) {
+      throw new Error(`Test input is not a JSON argument list: ${err.message}`);
+    }
+
+    const encoded = this.functionDriver.encodeArgs(language, signature, args);
+    const driver = this.functionDriver.generateDriver(language, signature, solutionFile);
+    const { command, args: commandArgs } = await this.prepareProgram(solutionFile, language, driver);
+    const execution = await this.runProcess(command, commandArgs, {
+      cwd: path.dirname(solutionFile),
+      input: encoded,
+      limits,
+      signal
+    });
+
+    if (execution.verdict) {
+      return execution;
+    }
+
+    const parsed = this.functionDriver.parseResult(execution.stdout);
+    if (!parsed) {
+      return { ...execution, verdict: 'RE', message: `${signature.name} did not return a result` };
+    }
+
+    return { ...execution, stdout: parsed.result, output: parsed.output };
+  }
+
+  async prepareSolution(problemDir, language, settings = {}) {
+    const solutionFile = this.getSolutionFile(problemDir, language);
+    const driver = settings.signature
+      ? this.functionDriver.generateDriver(language, settings.signature, solutionFile)
+      : null;
+    return this.prepareProgram(solutionFile, language, driver);
+  }
+
+  // Returns the command that runs a solution, compiling it first for
+  // languages that need a build step. With a function driver the driver is
+  // what runs, calling into the solution.
+  async prepareProgram(solutionFile, language, driver = null) {
+    const { compile, run } = this.languages.get(language);
+    if (!compile && !driver) {
+      return this.languages.command(run, { file: solutionFile });
+    }
+
+    const { buildDir, artifact, className } = await this.compile(solutionFile, language, driver);
+    return this.languages.command(run, { file: artifact, artifact, buildDir, className });
+  }
+
+  async compile(solutionFile, language, driver = null) {
+    let source;
+    try {
+      source = await fs.readFile(solutionFile, 'utf8');
+    } catch (err) {
+      throw new Error(`Solution file not found: ${path.basename(solutionFile)}`);
+    }
+
+    const hash = crypto.createHash('sha256')
+      .update(source)
+      .update(driver ? driver.source : '')
+      .digest('hex')
+      .slice(0, 16);
+    const stem = path.basename(solutionFile, path.extname(solutionFile)) + (driver ? '-driver' : '');
+    const buildRoot = path.join(path.dirname(solutionFile), '.build');
+    const buildDir = path.join(buildRoot, `${stem}-${language}-${hash}`);
+
+    // Share one compilation between concurrent runs of the same source
+    if (!this.builds.has(buildDir)) {
+      const build = this.buildSource(solutionFile, source, language, buildDir, driver);
+      this.builds.set(buildDir, build);
+      build.catch(() => this.builds.delete(buildDir));
+    }
+
+    return this.builds.get(buildDir);
+  }
+
+  async buildSource(solutionFile, source, language, buildDir, driver = null) {
+    const solutionName = path.basename(solutionFile);
+    const entry = this.languages.get(language);
+    const values = { buildDir, stem: path.basename(solutionFile, path.extname(solutionFile)) };
+    // Files written into the build directory, and how diagnostics name them
+    const files = [];
+    const aliases = {};
+    let build, command, args;
+
+    if (entry.publicClass) {
+      // javac insists that a public class lives in a file of the same name
+      const match = source.match(/public\s+(?:final\s+)?class\s+(\w+)/);
+      const solutionClass = match ? match[1] : 'Solution';
+      values.className = driver ? 'Main' : solutionClass;
+      files.push([path.join(buildDir, `${solutionClass}.${entry.extension}`), source]);
+      aliases[`${solutionClass}.${entry.extension}`] = solutionName;
+      if (driver) {
+        files.push([path.join(buildDir, driver.fileName), driver.source]);
+      }
+      values.source = files.map(([file]) => file);
+    } else if (entry.compile) {
+      const sourceFile = driver ? path.join(buildDir, driver.fileName) : solutionFile;
+      if (driver) {
+        files.push([sourceFile, driver.source]);
+      }
+      values.source = [sourceFile];
+    } else {
+      // Interpreted languages only need the driver written out
+      build = { buildDir, artifact: path.join(buildDir, driver.fileName) };
+      files.push([build.artifact, driver.source]);
+    }
+
+    if (entry.compile) {
+      build = { buildDir, className: values.className, artifact: path.join(buildDir, this.languages.expand(entry.artifact, values)) };
+      ({ command, args } = this.languages.command(entry.compile, { ...values, artifact: build.artifact }));
+    }
+
+    try {
+      await fs.access(build.artifact);
+      return build;
+    } catch (err) {
+      // Not built yet
+    }
+
+    await this.removeStaleBuilds(buildDir);
+    await fs.mkdir(buildDir, { recursive: true });
+    for (const [file, content] of files) {
+      await fs.writeFile(file, content);
+    }
+
+    if (!command) {
+      return build;
+    }
+
+    const result = await this.runProcess(command, args, {
+      cwd: path.dirname(solutionFile),
+      limits: TOOL_LIMITS
+    });
+
+    if (result.exitCode !== 0) {
+      await fs.rm(buildDir, { recursive: true, force: true });
+      const output = (result.stderr || result.stdout || result.message || '').trim();
+      throw new CompilationError(output, this.parseDiagnostics(output, aliases));
+    }
+
+    return build;
+  }
+
+  // Drops earlier builds of the same source file and language
+  async removeStaleBuilds(currentBuildDir) {
+    const buildRoot = path.dirname(currentBuildDir);
+    const prefix = path.basename(currentBuildDir).replace(/[^-]+$/, '');
+
+    try {
+      for (const entry of await fs.readdir(buildRoot)) {
+        const dir = path.join(buildRoot, entry);
+        if (entry.startsWith(prefix) && dir !== currentBuildDir) {
+          this.builds.delete(dir);
+          await fs.rm(dir, { recursive: true, force: true });
+        }
       }
+    } catch (err) {
+      // Nothing built yet
+    }
+  }
+
+  // Extracts file/line/message entries from gcc, javac, go and rustc output,
+  // renaming build copies back to the files the user edits
+  parseDiagnostics(output, aliases = {}) {
+    const diagnostics = [];
+    const pattern = /^(.+?):(\d+):(?:(\d+):)?\s*(fatal error|error|warning|note):\s*(.*)$/;
+    // go reports errors without a severity
+    const goPattern = /^(.+?\.go):(\d+):(\d+):\s*(.*)$/;
+    // rustc puts the message first and the location on the next line
+    const rustHeader = /^(error|warning)(?:\[\w+\])?:\s*(.*)$/;
+    const rustLocation = /^\s*-->\s*(.+?):(\d+):(\d+)$/;
+    let pending = null;
 
-      const child = spawn(command, args, {
-        cwd: path.dirname(solutionFile),
-        stdio: ['pipe', 'pipe', 'pipe']
+    const add = (file, line, column, severity, message) => {
+      diagnostics.push({
+        file: aliases[path.basename(file)] || path.basename(file),
+        line: Number(line),
+        column: column ? Number(column) : null,
+        severity,
+        message
       });
+    };
 
-      let output = '';
-      let error = '';
+    for (const line of output.split('\n')) {
+      let match;
+      if ((match = line.match(pattern))) {
+        add(match[1], match[2], match[3], match[4] === 'fatal error' ? 'error' : match[4], match[5]);
+      } else if ((match = line.match(goPattern))) {
+        add(match[1], match[2], match[3], 'error', match[4]);
+      } else if ((match = line.match(rustHeader))) {
+        pending = { severity: match[1], message: match[2] };
+      } else if (pending && (match = line.match(rustLocation))) {
+        add(match[1], match[2], match[3], pending.severity, pending.message);
+        pending = null;
+      }
+    }
+
+    return diagnostics;
+  }
+
+  // Runs a process under the given limits. Resolves with the captured output,
+  // wall/CPU time in ms, peak memory in KB and a verdict (TLE, MLE, OLE or RE)
+  // when the run did not finish cleanly; only a failure to start it rejects.
+  runProcess(command, args, options = {}) {
+    const { child, finished } = this.startProcess(command, args, options);
+    child.stdin.end(options.input || '');
+    return finished;
+  }
+
+  // Starts a process under the given limits and leaves its stdin open.
+  // `finished` settles like runProcess; `terminate` kills the process with a
+  // verdict of the caller's choosing. Aborting `options.signal` terminates it
+  // as CANCELLED.
+  startProcess(command, args, options = {}) {
+    const { cwd, signal = null } = options;
+    const limits = { ...DEFAULT_LIMITS, ...options.limits };
+    const memoryLimitKb = limits.memoryLimit * 1024;
+    const outputLimitBytes = limits.outputLimit * 1024 * 1024;
+
+    const startedAt = process.hrtime.bigint();
+    const child = spawn(command, args, {
+      cwd,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    let verdict = null;
+    // Descendants seen in the latest usage sample, killed along with the child
+    let descendants = [];
+
+    const terminate = (reason) => {
+      if (verdict) return;
+      verdict = reason;
+      child.kill('SIGKILL');
+      for (const pid of descendants) {
+        try {
+          process.kill(pid, 'SIGKILL');
+        } catch (err) {
+          // Already exited
+        }
+      }
+    };
+
+    // The child may exit before reading all of its input
+    child.stdin.on('error', () => {});
+
+    const cancel = () => terminate('CANCELLED');
+    if (signal) {
+      if (signal.aborted) cancel();
+      else signal.addEventListener('abort', cancel, { once: true });
+    }
+
+    const finished = new Promise((resolve, reject) => {
+      let stdout = '';
+      let stderr = '';
+      let outputBytes = 0;
+      let peakMemory = 0;
+      let cpuTime = 0;
+      let exitedAt = null;
+
+      const timer = setTimeout(() => terminate('TLE'), limits.timeLimit);
+      // procfs is gone once the child is reaped, so CPU time is the last
+      // sample taken while it was still running
+      const sample = async () => {
+        const usage = await this.readUsage(child.pid);
+        if (!usage) return;
+        descendants = usage.descendants;
+        peakMemory = Math.max(peakMemory, usage.peakMemory);
+        cpuTime = Math.max(cpuTime, usage.cpuTime);
+        if (peakMemory > memoryLimitKb) {
+          terminate('MLE');
+        }
+      };
+      const monitor = setInterval(sample, USAGE_POLL_INTERVAL);
+      sample();
 
       child.stdout.on('data', (data) => {
-        output += data.toString();
+        outputBytes += data.length;
+        if (outputBytes > outputLimitBytes) {
+          terminate('OLE');
+          return;
+        }
+        stdout += data.toString();
       });
 
       child.stderr.on('data', (data) => {
-        error += data.toString();
+        if (stderr.length < MAX_STDERR_LENGTH) {
+          stderr += data.toString();
+        }
       });
 
-      child.on('close', (code) => {
-        if (code !== 0) {
-          reject(new Error(`Execution failed with code ${code}: ${error}`));
-        } else {
-          resolve(output);
+      child.on('exit', () => {
+        exitedAt = process.hrtime.bigint();
+      });
+
+      child.on('close', (code, exitSignal) => {
+        clearTimeout(timer);
+        clearInterval(monitor);
+        if (signal) signal.removeEventListener('abort', cancel);
+
+        if (!verdict && code !== 0) {
+          verdict = 'RE';
         }
+
+        resolve({
+          stdout,
+          stderr,
+          exitCode: code,
+          signal: exitSignal,
+          verdict,
+          message: this.describeVerdict(verdict, { code, signal: exitSignal, stderr, limits }),
+          wallTime: Number((exitedAt || process.hrtime.bigint()) - startedAt) / 1e6,
+          cpuTime,
+          peakMemory
+        });
       });
 
       child.on('error', (err) => {
+        clearTimeout(timer);
+        clearInterval(monitor);
+        if (signal) signal.removeEventListener('abort', cancel);
         reject(new Error(`Failed to start process: ${err.message}`));
       });
+    });
+
+    return { child, finished, terminate };
+  }
+
+  // Usage of a process together with its live descendants, only available
+  // where procfs exists. Memory is the sum of their peak resident set sizes
+  // in KB and is sampled every USAGE_POLL_INTERVAL, so the memory limit is
+  // best-effort: a short-lived helper or an allocation right before exit can
+  // slip past it. CPU time in ms includes children already waited for.
+  async readUsage(pid) {
+    const root = await this.readProcessUsage(pid);
+    if (!root) return null;
+
+    const descendants = await this.listDescendants(pid);
+    const usages = (await Promise.all(descendants.map(child => this.readProcessUsage(child)))).filter(usage => usage);
+
+    return {
+      peakMemory: usages.reduce((sum, usage) => sum + usage.peakMemory, root.peakMemory),
+      cpuTime: usages.reduce((sum, usage) => sum + usage.cpuTime, root.cpuTime),
+      descendants
+    };
+  }
+
+  async readProcessUsage(pid) {
+    try {
+      const [status, stat] = await Promise.all([
+        fs.readFile(`/proc/${pid}/status`, 'utf8'),
+        fs.readFile(`/proc/${pid}/stat`, 'utf8')
+      ]);
+      const match = status.match(/^VmHWM:\s+(\d+)\s+kB/m);
+      // Fields after the parenthesised command name start at field 3 (state);
+      // utime, stime, cutime and cstime follow at fields 14 to 17
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      const ticks = fields.slice(11, 15).reduce((sum, field) => sum + Number(field), 0);
+
+      return {
+        peakMemory: match ? Number(match[1]) : 0,
+        cpuTime: (ticks * 1000) / CLOCK_TICKS_PER_SECOND
+      };
+    } catch (err) {
+      return null;
+    }
+  }
 
-      // Send input to stdin
-      if (input) {
-        child.stdin.write(input);
-        child.stdin.end();
+  // Children of every thread, breadth first, so programs that start
+  // processes from worker threads (the JVM does) are covered too
+  async listDescendants(pid) {
+    const pids = [pid];
+    for (let i = 0; i < pids.length; i++) {
+      let threads;
+      try {
+        threads = await fs.readdir(`/proc/${pids[i]}/task`);
+      } catch (err) {
+        continue;
+      }
+      const children = await Promise.all(threads.map(thread =>
+        fs.readFile(`/proc/${pids[i]}/task/${thread}/children`, 'utf8').catch(() => '')
+      ));
+      for (const list of children) {
+        pids.push(...list.split(' ').filter(child => child).map(Number));
       }
+    }
+    return pids.slice(1);
+  }
+
+  describeVerdict(verdict, { code, signal, stderr, limits }) {
+    switch (verdict) {
+      case 'TLE':
+        return `Time limit of ${limits.timeLimit} ms exceeded`;
+      case 'MLE':
+        return `Memory limit of ${limits.memoryLimit} MB exceeded`;
+      case 'OLE':
+        return `Output limit of ${limits.outputLimit} MB exceeded`;
+      case 'QLE':
+        return `Query limit of ${limits.queryLimit} exceeded`;
+      case 'CANCELLED':
+        return 'Cancelled';
+      case 'RE':
+        return signal
+          ? `Terminated by signal ${signal}: ${stderr}`
+          : `Exited with code ${code}: ${stderr}`;
+      default:
+        return null;
+    }
+  }
+
+  compareOutput(actual, expected, checker = {}) {
+    return this.outputChecker.compare(actual, expected, checker);
+  }
+
+  async checkOutput(problemDir, settings, { input, expected, actual }) {
+    const checker = settings.checker || {};
+
+    if (checker.type !== 'custom') {
+      return settings.signature
+        ? this.outputChecker.compareJson(actual, expected, checker)
+        : this.compareOutput(actual, expected, checker);
+    }
+
+    return this.runCustomChecker(path.join(problemDir, checker.program), { input, expected, actual }, checker.protocol);
+  }
+
+  // Runs a special judge as `checker <input> <expected> <actual>`. Exit code 0
+  // accepts, 1 rejects, and whatever the checker prints becomes the message.
+  // Exit code 7 awards the score printed as the first token of stdout.
+  // `protocol` selects the testlib or Kattis conventions instead.
+  async runCustomChecker(checkerFile, { input, expected, actual }, protocol = 'default') {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'checker-'));
+
+    try {
+      const [inputFile, expectedFile, actualFile] = ['input.txt', 'expected.txt', 'actual.txt'].map(name => path.join(tempDir, name));
+      await Promise.all([
+        fs.writeFile(inputFile, input || ''),
+        fs.writeFile(expectedFile, expected || ''),
+        fs.writeFile(actualFile, actual || '')
+      ]);
+
+      const program = await this.prepareProgram(checkerFile, this.getLanguageForFile(checkerFile));
+      if (protocol === 'kattis') {
+        return await this.runKattisValidator(program, path.dirname(checkerFile), tempDir, { inputFile, expectedFile, actual });
+      }
+
+      const args = protocol === 'testlib' ? [inputFile, actualFile, expectedFile] : [inputFile, expectedFile, actualFile];
+      const result = await this.runProcess(program.command, [...program.args, ...args], {
+        cwd: path.dirname(checkerFile),
+        limits: TOOL_LIMITS
+      });
+      const message = (result.stdout + result.stderr).trim() || null;
+
+      if (result.verdict === 'RE' && result.exitCode === 1) {
+        return { passed: false, message };
+      }
+      if (result.verdict === 'RE' && protocol === 'testlib' && result.exitCode === TESTLIB_PRESENTATION_ERROR_EXIT_CODE) {
+        return { passed: false, message: message || 'Presentation error' };
+      }
+      if (result.verdict === 'RE' && result.exitCode === PARTIAL_SCORE_EXIT_CODE) {
+        const score = Number(result.stdout.trim().split(/\s+/)[0]);
+        if (!Number.isFinite(score) || score < 0 || score > 1) {
+          throw new Error('Checker reported partial credit without a score between 0 and 1');
+        }
+        return { passed: score === 1, score, message };
+      }
+      if (result.verdict) {
+        throw new Error(`Checker failed: ${result.message}`);
+      }
+
+      return { passed: true, message };
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  // The validator explains its verdict in judgemessage.txt inside the
+  // feedback directory; stdout and stderr are only a fallback
+  async runKattisValidator(program, cwd, tempDir, { inputFile, expectedFile, actual }) {
+    const feedbackDir = path.join(tempDir, 'feedback');
+    await fs.mkdir(feedbackDir);
+
+    const result = await this.runProcess(program.command, [...program.args, inputFile, expectedFile, `${feedbackDir}${path.sep}`], {
+      cwd,
+      input: actual || '',
+      limits: TOOL_LIMITS
     });
+    const judgeMessage = await fs.readFile(path.join(feedbackDir, 'judgemessage.txt'), 'utf8').catch(() => '');
+    const message = (judgeMessage || result.stdout + result.stderr).trim() || null;
+
+    if (result.verdict === 'RE' && result.exitCode === KATTIS_ACCEPT_EXIT_CODE) {
+      return { passed: true, message };
+    }
+    if (result.verdict === 'RE' && result.exitCode === KATTIS_REJECT_EXIT_CODE) {
+      return { passed: false, message };
+    }
+    throw new Error(`Checker failed: ${result.verdict ? result.message : 'Exited with code 0 instead of 42 or 43'}`);
   }
 
-  compareOutput(actual, expected) {
-    // Simple string comparison - can be enhanced for more complex cases
-    return actual === expected;
+  async getTestCases(problemId) {
+    return this.testCaseStore.list(this.getProblemDir(problemId));
   }
 
-  async addTestCase(problemId, input, expected) {
-    const problemDir = path.join(this.workspaceDir, problemId);
-    const testCasesPath = path.join(problemDir, 'test-cases.json');
+  // `fields` may add a label, note and the sample/hidden flags
+  async addTestCase(problemId, input, expected, fields = {}) {
+    const problemDir = this.getProblemDir(problemId);
     
     try {
-      const testCases = JSON.parse(await fs.readFile(testCasesPath, 'utf8'));
-      testCases.custom.push({ input, expected });
-      
-      await fs.writeFile(testCasesPath, JSON.stringify(testCases, null, 2));
-      return testCases;
+      const testCase = await this.normalizeTestCase(problemDir, { ...fields, input, expected });
+      return await this.testCaseStore.add(problemDir, testCase);
     } catch (err) {
       throw new Error(`Failed to add test case: ${err.message}`);
     }
   }
 
+  async updateTestCase(problemId, id, fields) {
+    const problemDir = this.getProblemDir(problemId);
+
+    try {
+      const changes = await this.normalizeTestCase(problemDir, fields);
+      return await this.testCaseStore.update(problemDir, id, changes);
+    } catch (err) {
+      throw new Error(`Failed to update test case: ${err.message}`);
+    }
+  }
+
+  async deleteTestCase(problemId, id) {
+    return this.testCaseStore.remove(this.getProblemDir(problemId), id);
+  }
+
+  async duplicateTestCase(problemId, id) {
+    return this.testCaseStore.duplicate(this.getProblemDir(problemId), id);
+  }
+
+  async reorderTestCases(problemId, ids) {
+    return this.testCaseStore.reorder(this.getProblemDir(problemId), ids);
+  }
+
+  // Imports NAME.in / NAME.ans pairs from a directory inside the import root
+  async importTestCasesFromDirectory(problemId, directory) {
+    const files = {};
+
+    try {
+      const sourceDir = await this.importRoot.resolve(directory);
+      for (const entry of await fs.readdir(sourceDir, { withFileTypes: true })) {
+        if (!entry.isFile()) continue;
+        files[entry.name] = await fs.readFile(path.join(sourceDir, entry.name), 'utf8');
+      }
+      return await this.testCaseStore.importPairs(this.getProblemDir(problemId), files);
+    } catch (err) {
+      throw new Error(`Failed to import test cases: ${err.message}`);
+    }
+  }
+
+  // Imports NAME.in / NAME.ans pairs from an uploaded zip archive. Entries are
+  // only read, never extracted, so archive paths cannot escape the problem.
+  async importTestCasesFromZip(problemId, buffer) {
+    const files = {};
+
+    try {
+      const zip = new AdmZip(buffer);
+      for (const entry of zip.getEntries()) {
+        if (entry.isDirectory) continue;
+        files[entry.entryName] = entry.getData().toString('utf8');
+      }
+      return await this.testCaseStore.importPairs(this.getProblemDir(problemId), files);
+    } catch (err) {
+      throw new Error(`Failed to import test cases: ${err.message}`);
+    }
+  }
+
+  // Groups must name a subtask. Function-mode cases hold a JSON argument
+  // list and a JSON return value.
+  async normalizeTestCase(problemDir, fields) {
+    const { signature, subtasks } = await this.loadSettings(problemDir);
+
+    if (fields.group && !subtasks.some(subtask => subtask.id === fields.group)) {
+      throw new Error(`Unknown subtask: ${fields.group}`);
+    }
+    if (!signature) return fields;
+
+    const normalized = { ...fields };
+    if (fields.input !== undefined) {
+      normalized.input = typeof fields.input === 'string' ? fields.input : JSON.stringify(fields.input);
+      this.functionDriver.validateArgs(signature, JSON.parse(normalized.input));
+    }
+    if (fields.expected !== undefined) {
+      normalized.expected = typeof fields.expected === 'string' ? fields.expected : JSON.stringify(fields.expected);
+      JSON.parse(normalized.expected);
+    }
+    return normalized;
+  }
+
   generateDiffReport(testResults) {
     const report = {
       problemId: testResults.problemId,
+      snapshotId: testResults.snapshotId || null,
       summary: testResults.summary,
-      details: []
+      details: testResults.tests.map(test => this.buildTestDetail(test))
     };
 
-    for (const test of testResults.tests) {
-      const detail = {
-        testName: test.testName,
-        passed: test.passed,
-        input: test.input,
-        expected: test.expected,
-        actual: test.actual
-      };
+    if (testResults.verdict === 'CE') {
+      report.verdict = 'CE';
+      report.verdictLabel = VERDICTS.CE;
+      report.compilation = testResults.compilation;
+    }
 
-      if (!test.passed) {
-        detail.diff = this.generateDiff(test.expected, test.actual);
-      }
+    if (testResults.cancelled) {
+      report.cancelled = true;
+    }
 
-      if (test.error) {
-        detail.error = test.error;
-      }
+    if (testResults.repeat > 1) {
+      report.repeat = testResults.repeat;
+      report.flaky = testResults.flaky;
+    }
+
+    if (testResults.scoring) {
+      report.scoring = testResults.scoring;
+    }
 
-      report.details.push(detail);
+    if (testResults.runId) {
+      report.runId = testResults.runId;
+      report.regressions = testResults.regressions;
+      for (const detail of report.details) {
+        if (testResults.regressions.includes(detail.testName)) detail.regressed = true;
+      }
     }
 
     return report;
   }
 
-  generateDiff(expected, actual) {
-    // Simple diff implementation - can be enhanced with a proper diff library
-    const expectedLines = expected.split('\n');
-    const actualLines = actual.split('\n');
-    
-    const diff = [];
-    const maxLines = Math.max(expectedLines.length, actualLines.length);
-    
-    for (let i = 0; i < maxLines; i++) {
-      const expectedLine = expectedLines[i] || '';
-      const actualLine = actualLines[i] || '';
-      
-      if (expectedLine === actualLine) {
-        diff.push(`  ${expectedLine}`);
-      } else {
-        diff.push(`- ${expectedLine}`);
-        diff.push(`+ ${actualLine}`);
-      }
+  // Hidden cases report their verdict and usage but none of their data
+  buildTestDetail(test) {
+    const detail = {
+      testName: test.testName,
+      label: test.label || null,
+      group: test.group || null,
+      verdict: test.verdict,
+      verdictLabel: VERDICTS[test.verdict],
+      passed: test.passed,
+      wallTime: test.wallTime,
+      cpuTime: test.cpuTime,
+      peakMemory: test.peakMemory
+    };
+
+    if (typeof test.score === 'number') {
+      detail.score = test.score;
     }
-    
-    return diff.join('\n');
+
+    if (test.repeats) {
+      detail.flaky = test.flaky;
+      detail.repeats = test.repeats;
+    }
+
+    if (test.hidden) {
+      detail.hidden = true;
+      return detail;
+    }
+
+    // Large data is cut down to a preview; the diff still sees all of it
+    detail.input = this.testCaseStore.preview(test.input);
+    detail.expected = this.testCaseStore.preview(test.expected);
+    detail.actual = this.testCaseStore.preview(test.actual);
+
+    if (test.transcript) {
+      detail.queries = test.queries;
+      detail.transcript = test.transcript;
+    } else if (!test.passed) {
+      detail.diff = this.generateDiff(test.expected, test.actual);
+    }
+
+    if (test.error) {
+      detail.error = test.error;
+    }
+
+    if (test.checkerMessage) {
+      detail.checkerMessage = test.checkerMessage;
+    }
+
+    if (test.output) {
+      detail.output = test.output;
+    }
+
+    return detail;
+  }
+
+  // Structured line diff with character highlights; see TextDiff.diffLines
+  generateDiff(expected, actual) {
+    return this.textDiff.diffLines(expected || '', actual || '');
   }
 }
 
 module.exports = TestHarness;
+module.exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
+module.exports.VERDICTS = VERDICTS;
+module.exports.CompilationError = CompilationError;
@@ -0,0 +1,328 @@
+'use strict';
+
+const CONTEXT_LINES = 3;
+
+// Beyond this many edits the remaining middle is reported as one replaced block
+const MAX_EDIT_DISTANCE = 1000;
+
+// Caps that keep reports for runaway outputs a reasonable size
+const MAX_HUNK_LINES = 500;
+const MAX_HIGHLIGHT_LENGTH = 1000;
+
+class TextDiff {
+  // Line diff of expected against actual output. Changed lines are paired up
+  // and carry character-level segments; `firstDifference` locates the first
+  // whitespace-separated token that differs.
+  diffLines(expected, actual) {
+    const expectedLines = this.splitLines(expected);
+    const actualLines = this.splitLines(actual);
+    const entries = this.buildEntries(expectedLines, actualLines, this.diff(expectedLines, actualLines));
+    const { hunks, truncated } = this.buildHunks(entries);
+
+    return {
+      identical: hunks.length === 0,
+      hunks,
+      truncated,
+      firstDifference: this.findFirstDifference(expectedLines, actualLines)
+    };
+  }
+
+  splitLines(text) {
+    const trimmed = text.replace(/(\r?\n)+$/, '');
+    return trimmed ? trimmed.split(/\r?\n/) : [];
+  }
+
+  // Myers' O(ND) diff. Returns the edit script as a list of
+  // { type: 'equal' | 'delete' | 'insert', aIndex, bIndex } operations.
+  diff(a, b, equals = (x, y) => x === y) {
+    let start = 0;
+    while (start < a.length && start < b.length && equals(a[start], b[start])) start++;
+
+    let aEnd = a.length;
+    let bEnd = b.length;
+    while (aEnd > start && bEnd > start && equals(a[aEnd - 1], b[bEnd - 1])) {
+      aEnd--;
+      bEnd--;
+    }
+
+    const ops = [];
+    for (let i = 0; i < start; i++) {
+      ops.push({ type: 'equal', aIndex: i, bIndex: i });
+    }
+    ops.push(...this.diffMiddle(a, b, start, aEnd, start, bEnd, equals));
+    for (let i = aEnd, j = bEnd; i < a.length; i++, j++) {
+      ops.push({ type: 'equal', aIndex: i, bIndex: j });
+    }
+
+    return ops;
+  }
+
+  diffMiddle(a, b, aStart, aEnd, bStart, bEnd, equals) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const limit = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = limit + 1;
+    const v = new Int32Array(2 * limit + 3);
+    const trace = [];
+
+    for (let d = 0; d <= limit; d++) {
+      trace.push(v.slice());
+
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+
+        while (x < n && y < m && equals(a[aStart + x], b[bStart + y])) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+
+        if (x >= n && y >= m) {
+          return this.backtrack(trace, offset, n, m, aStart, bStart);
+        }
+      }
+    }
+
+    // Too different to align: everything in between counts as replaced
+    const ops = [];
+    for (let i = aStart; i < aEnd; i++) ops.push({ type: 'delete', aIndex: i, bIndex: null });
+    for (let j = bStart; j < bEnd; j++) ops.push({ type: 'insert', aIndex: null, bIndex: j });
+    return ops;
+  }
+
+  backtrack(trace, offset, n, m, aStart, bStart) {
+    const ops = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const v = trace[d];
+      const k = x - y;
+      const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+      const prevX = v[offset + prevK];
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        x--;
+        y--;
+        ops.push({ type: 'equal', aIndex: aStart + x, bIndex: bStart + y });
+      }
+
+      if (d > 0) {
+        if (x === prevX) {
+          ops.push({ type: 'insert', aIndex: null, bIndex: bStart + prevY });
+        } else {
+          ops.push({ type: 'delete', aIndex: aStart + prevX, bIndex: null });
+        }
+      }
+
+      x = prevX;
+      y = prevY;
+    }
+
+    return ops.reverse();
+  }
+
+  // Turns the edit script into display lines. Each run of deletions and
+  // insertions is shown deletions first, with the n-th deleted line compared
+  // character by character against the n-th inserted one.
+  buildEntries(expectedLines, actualLines, ops) {
+    const entries = [];
+    let deleted = [];
+    let inserted = [];
+
+    const flush = () => {
+      for (let i = 0; i < deleted.length; i++) {
+        const entry = { type: 'delete', text: expectedLines[deleted[i]], expectedLine: deleted[i] + 1, actualLine: null };
+        if (i < inserted.length) entry.segments = this.highlight(entry.text, actualLines[inserted[i]]).expected;
+        entries.push(entry);
+      }
+      for (let i = 0; i < inserted.length; i++) {
+        const entry = { type: 'insert', text: actualLines[inserted[i]], expectedLine: null, actualLine: inserted[i] + 1 };
+        if (i < deleted.length) entry.segments = this.highlight(expectedLines[deleted[i]], entry.text).actual;
+        entries.push(entry);
+      }
+      deleted = [];
+      inserted = [];
+    };
+
+    for (const op of ops) {
+      if (op.type === 'delete') {
+        deleted.push(op.aIndex);
+      } else if (op.type === 'insert') {
+        inserted.push(op.bIndex);
+      } else {
+        flush();
+        entries.push({ type: 'equal', text: expectedLines[op.aIndex], expectedLine: op.aIndex + 1, actualLine: op.bIndex + 1 });
+      }
+    }
+    flush();
+
+    return entries;
+  }
+
+  // Splits both lines into { text, changed } segments
+  highlight(expectedLine, actualLine) {
+    if (expectedLine.length > MAX_HIGHLIGHT_LENGTH || actualLine.length > MAX_HIGHLIGHT_LENGTH) {
+      return {
+        expected: [{ text: expectedLine, changed: true }],
+        actual: [{ text: actualLine, changed: true }]
+      };
+    }
+
+    const expectedChars = Array.from(expectedLine);
+    const actualChars = Array.from(actualLine);
+    const expected = [];
+    const actual = [];
+
+    const append = (segments, text, changed) => {
+      const last = segments[segments.length - 1];
+      if (last && last.changed === changed) last.text += text;
+      else segments.push({ text, changed });
+    };
+
+    for (const op of this.diff(expectedChars, actualChars)) {
+      if (op.type === 'equal') {
+        append(expected, expectedChars[op.aIndex], false);
+        append(actual, actualChars[op.bIndex], false);
+      } else if (op.type === 'delete') {
+        append(expected, expectedChars[op.aIndex], true);
+      } else {
+        append(actual, actualChars[op.bIndex], true);
+      }
+    }
+
+    return { expected, actual };
+  }
+
+  // Groups changed lines with their surrounding context into hunks
+  buildHunks(entries) {
+    const hunks = [];
+    let shown = 0;
+    let truncated = false;
+    let i = 0;
+
+    while (i < entries.length) {
+      if (entries[i].type === 'equal') {
+        i++;
+        continue;
+      }
+
+      const start = Math.max(0, i - CONTEXT_LINES);
+      let end = i;
+      // Extend while the next change is close enough to share context
+      while (end < entries.length) {
+        if (entries[end].type !== 'equal') {
+          end++;
+          continue;
+        }
+        let next = end;
+        while (next < entries.length && entries[next].type === 'equal') next++;
+        if (next < entries.length && next - end <= CONTEXT_LINES * 2) {
+          end = next;
+        } else {
+          end = Math.min(entries.length, end + CONTEXT_LINES);
+          break;
+        }
+      }
+
+      let lines = entries.slice(start, end);
+      if (shown + lines.length > MAX_HUNK_LINES) {
+        lines = lines.slice(0, MAX_HUNK_LINES - shown);
+        truncated = true;
+      }
+      if (lines.length > 0) {
+        hunks.push(this.describeHunk(lines));
+        shown += lines.length;
+      }
+      if (truncated) break;
+
+      i = end;
+    }
+
+    return { hunks, truncated };
+  }
+
+  describeHunk(lines) {
+    const expectedLines = lines.filter(line => line.type !== 'insert');
+    const actualLines = lines.filter(line => line.type !== 'delete');
+    const firstNumber = (items, key) => (items.length > 0 ? items[0][key] : 0);
+
+    return {
+      expectedStart: firstNumber(expectedLines, 'expectedLine'),
+      expectedCount: expectedLines.length,
+      actualStart: firstNumber(actualLines, 'actualLine'),
+      actualCount: actualLines.length,
+      lines
+    };
+  }
+
+  // Regroups each hunk's lines into rows for a two-column view. Equal lines
+  // share a row; within a run of changes the n-th deleted line sits next to
+  // the n-th inserted one, with null where one side has fewer lines.
+  sideBySide(hunks) {
+    const cell = (line, key) => ({ line: line[key], text: line.text, segments: line.segments || null });
+
+    return hunks.map(({ lines, ...hunk }) => {
+      const rows = [];
+      let deleted = [];
+      let inserted = [];
+
+      const flush = () => {
+        for (let i = 0; i < Math.max(deleted.length, inserted.length); i++) {
+          rows.push({
+            type: 'change',
+            left: deleted[i] ? cell(deleted[i], 'expectedLine') : null,
+            right: inserted[i] ? cell(inserted[i], 'actualLine') : null
+          });
+        }
+        deleted = [];
+        inserted = [];
+      };
+
+      for (const line of lines) {
+        if (line.type === 'delete') {
+          deleted.push(line);
+        } else if (line.type === 'insert') {
+          inserted.push(line);
+        } else {
+          flush();
+          rows.push({ type: 'equal', left: cell(line, 'expectedLine'), right: cell(line, 'actualLine') });
+        }
+      }
+      flush();
+
+      return { ...hunk, rows };
+    });
+  }
+
+  // Compares whitespace-separated tokens and reports where the first mismatch
+  // sits in each output. A side that ran out of tokens reports null text.
+  findFirstDifference(expectedLines, actualLines) {
+    const expectedTokens = this.tokenize(expectedLines);
+    const actualTokens = this.tokenize(actualLines);
+    const missing = { text: null, line: null, column: null };
+
+    for (let token = 1; ; token++) {
+      const expected = expectedTokens.next().value;
+      const actual = actualTokens.next().value;
+      if (!expected && !actual) return null;
+      if (expected && actual && expected.text === actual.text) continue;
+
+      return { token, expected: expected || missing, actual: actual || missing };
+    }
+  }
+
+  * tokenize(lines) {
+    for (let i = 0; i < lines.length; i++) {
+      for (const match of lines[i].matchAll(/\S+/g)) {
+        yield { text: match[0], line: i + 1, column: match.index + 1 };
+      }
+    }
+  }
+}
+
+module.exports = TextDiff;
@@ -0,0 +1,41 @@
+'use strict';
+
+const os = require('os');
+
+class WorkerPool {
+  constructor(concurrency = os.cpus().length) {
+    this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+    this.active = 0;
+    this.queue = [];
+  }
+
+  // Runs `task` once a slot is free and settles with its result. Tasks start
+  // in the order they were submitted, whoever submitted them.
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const { task, resolve, reject } = this.queue.shift();
+      this.active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
+  }
+
+  get pending() {
+    return this.queue.length;
+  }
+}
+
+module.exports = WorkerPool;